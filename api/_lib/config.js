@@ -0,0 +1,38 @@
+// /api/_lib/config.js — настройки /api/chat из переменных окружения
+
+const DEFAULT_ORIGINS = [
+  'https://annzinchuk-oliver.github.io',
+  'https://mood-calendar-omega.vercel.app'
+];
+
+function intFromEnv(raw, fallback) {
+  const n = Number.parseInt(raw, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function listFromEnv(raw, fallback) {
+  const list = String(raw || '').split(',').map((s) => s.trim()).filter(Boolean);
+  return list.length ? list : fallback;
+}
+
+/**
+ * CORS_ALLOWED_ORIGINS — витрины через запятую;
+ * CHAT_MAX_MESSAGES / CHAT_MAX_MESSAGE_CHARS / CHAT_MAX_TOTAL_CHARS — лимиты тела;
+ * CHAT_RATE_CAPACITY / CHAT_RATE_REFILL_PER_MIN — token bucket на клиента.
+ */
+function getConfig(env = process.env) {
+  return {
+    allowedOrigins: listFromEnv(env.CORS_ALLOWED_ORIGINS, DEFAULT_ORIGINS),
+    limits: {
+      maxMessages: intFromEnv(env.CHAT_MAX_MESSAGES, 40),
+      maxMessageChars: intFromEnv(env.CHAT_MAX_MESSAGE_CHARS, 4000),
+      maxTotalChars: intFromEnv(env.CHAT_MAX_TOTAL_CHARS, 16000)
+    },
+    rateLimit: {
+      capacity: intFromEnv(env.CHAT_RATE_CAPACITY, 10),
+      refillPerMinute: intFromEnv(env.CHAT_RATE_REFILL_PER_MIN, 6)
+    }
+  };
+}
+
+module.exports = { getConfig, DEFAULT_ORIGINS };
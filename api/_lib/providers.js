@@ -0,0 +1,102 @@
+// /api/_lib/providers.js — провайдеры LLM (CommonJS, файлы с `_` Vercel не публикует)
+//
+// Все три говорят на OpenAI-совместимом /chat/completions:
+//   groq   — GROQ_API_KEY,   GROQ_MODEL,   GROQ_TEMPERATURE
+//   openai — OPENAI_API_KEY, OPENAI_MODEL, OPENAI_TEMPERATURE, OPENAI_BASE_URL
+//   custom — LLM_BASE_URL (Ollama, llama.cpp, vLLM…), LLM_API_KEY, LLM_MODEL, LLM_TEMPERATURE
+// Порядок — LLM_PROVIDERS="custom,groq" (по умолчанию groq → openai → custom).
+// На 429/5xx и сетевых ошибках переходим к следующему настроенному.
+
+const DEFAULT_ORDER = ['groq', 'openai', 'custom'];
+const DEFAULT_TEMPERATURE = 0.7;
+
+const PROVIDERS = {
+  groq: (env) => env.GROQ_API_KEY && {
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKey: env.GROQ_API_KEY,
+    model: env.GROQ_MODEL || 'llama-3.1-8b-instant',
+    temperature: env.GROQ_TEMPERATURE
+  },
+  openai: (env) => env.OPENAI_API_KEY && {
+    baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: env.OPENAI_API_KEY,
+    model: env.OPENAI_MODEL || 'gpt-4o-mini',
+    temperature: env.OPENAI_TEMPERATURE
+  },
+  // свой сервер: ключ необязателен (локальной Ollama он не нужен)
+  custom: (env) => env.LLM_BASE_URL && {
+    baseUrl: env.LLM_BASE_URL,
+    apiKey: env.LLM_API_KEY || '',
+    model: env.LLM_MODEL || 'llama3.1',
+    temperature: env.LLM_TEMPERATURE
+  }
+};
+
+function parseTemperature(raw) {
+  const t = Number.parseFloat(raw);
+  return Number.isFinite(t) && t >= 0 && t <= 2 ? t : DEFAULT_TEMPERATURE;
+}
+
+/** Настроенные провайдеры в порядке перебора. */
+function getProviders(env = process.env) {
+  const order = (env.LLM_PROVIDERS || '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter((id) => id in PROVIDERS);
+
+  return (order.length ? order : DEFAULT_ORDER)
+    .map((id) => {
+      const cfg = PROVIDERS[id](env);
+      if (!cfg) return null;
+      return {
+        id,
+        url: `${cfg.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+        apiKey: cfg.apiKey,
+        model: cfg.model,
+        temperature: parseTemperature(cfg.temperature)
+      };
+    })
+    .filter(Boolean);
+}
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Запрос к первому провайдеру, который ответил не 429/5xx.
+ * Возвращает { provider, upstream } — upstream это Response (в т.ч. с ошибкой 4xx,
+ * или последний 429/5xx, если упали все). Сетевые ошибки последнего — пробрасываем.
+ */
+async function requestCompletion(providers, { messages, stream = false, signal } = {}) {
+  if (!providers.length) throw new Error('No LLM provider configured');
+
+  let lastError = null;
+  for (let i = 0; i < providers.length; i++) {
+    const provider = providers[i];
+    const isLast = i === providers.length - 1;
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (provider.apiKey) headers.Authorization = `Bearer ${provider.apiKey}`;
+
+      const upstream = await fetch(provider.url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: provider.model, temperature: provider.temperature, messages, stream }),
+        signal
+      });
+      if (upstream.ok || isLast || !isRetryable(upstream.status)) return { provider, upstream };
+
+      console.warn(`LLM provider ${provider.id} failed with ${upstream.status}, trying next`);
+      upstream.body?.cancel?.().catch(() => {});
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      console.warn(`LLM provider ${provider.id} unreachable:`, e.message);
+      lastError = e;
+      if (isLast) throw e;
+    }
+  }
+  throw lastError;
+}
+
+module.exports = { getProviders, requestCompletion, DEFAULT_ORDER };
@@ -0,0 +1,82 @@
+// /api/_lib/rate-limit.js — token bucket на клиента со сменным хранилищем
+//
+// Хранилище — любой объект с async get(key) / set(key, value, ttlMs).
+// По умолчанию память инстанса; если заданы UPSTASH_REDIS_REST_URL и
+// UPSTASH_REDIS_REST_TOKEN — общий Redis через REST (без зависимостей).
+
+function createMemoryStore() {
+  const map = new Map();
+  return {
+    async get(key) {
+      const item = map.get(key);
+      if (!item) return null;
+      if (item.expiresAt <= Date.now()) { map.delete(key); return null; }
+      return item.value;
+    },
+    async set(key, value, ttlMs) {
+      map.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+  };
+}
+
+function createUpstashStore({ url, token }) {
+  const call = async (command) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(command)
+    });
+    if (!res.ok) throw new Error(`Upstash ${res.status}`);
+    return (await res.json()).result;
+  };
+  return {
+    async get(key) {
+      const raw = await call(['GET', key]);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, value, ttlMs) {
+      await call(['SET', key, JSON.stringify(value), 'PX', String(Math.ceil(ttlMs))]);
+    }
+  };
+}
+
+function getDefaultStore(env = process.env) {
+  if (env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN) {
+    return createUpstashStore({ url: env.UPSTASH_REDIS_REST_URL, token: env.UPSTASH_REDIS_REST_TOKEN });
+  }
+  return createMemoryStore();
+}
+
+/**
+ * capacity — сколько запросов подряд можно сделать,
+ * refillPerMinute — сколько жетонов возвращается в минуту.
+ * take(key) → { allowed, remaining, retryAfter } (retryAfter — секунды).
+ */
+function createRateLimiter({ capacity, refillPerMinute, store = createMemoryStore(), now = Date.now }) {
+  const refillPerMs = refillPerMinute / 60000;
+  const ttlMs = Math.ceil(capacity / refillPerMs);
+
+  return {
+    async take(key) {
+      const t = now();
+      const saved = await store.get(`rl:${key}`);
+      const elapsed = saved ? Math.max(0, t - saved.updatedAt) : 0;
+      const tokens = saved ? Math.min(capacity, saved.tokens + elapsed * refillPerMs) : capacity;
+
+      if (tokens < 1) {
+        await store.set(`rl:${key}`, { tokens, updatedAt: t }, ttlMs);
+        return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - tokens) / refillPerMs / 1000) };
+      }
+      await store.set(`rl:${key}`, { tokens: tokens - 1, updatedAt: t }, ttlMs);
+      return { allowed: true, remaining: Math.floor(tokens - 1), retryAfter: 0 };
+    }
+  };
+}
+
+// IP клиента: на Vercel — первый адрес из x-forwarded-for
+function clientKey(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+module.exports = { createMemoryStore, createUpstashStore, getDefaultStore, createRateLimiter, clientKey };
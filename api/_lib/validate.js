@@ -0,0 +1,46 @@
+// /api/_lib/validate.js — проверка тела запроса /api/chat
+
+const ALLOWED_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Возвращает { error } с понятным текстом для 400
+ * или { messages } — только role/content, без лишних полей.
+ */
+function validateChatBody(body, limits) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Body must be a JSON object' };
+  }
+  const { messages } = body;
+  if (!Array.isArray(messages)) return { error: 'messages must be an array' };
+  if (!messages.length) return { error: 'messages must not be empty' };
+  if (messages.length > limits.maxMessages) {
+    return { error: `Too many messages: ${messages.length} > ${limits.maxMessages}` };
+  }
+  if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+    return { error: 'stream must be a boolean' };
+  }
+
+  let total = 0;
+  const clean = [];
+  for (let i = 0; i < messages.length; i++) {
+    const m = messages[i];
+    if (!m || typeof m !== 'object') return { error: `messages[${i}] must be an object` };
+    if (!ALLOWED_ROLES.includes(m.role)) {
+      return { error: `messages[${i}].role must be one of: ${ALLOWED_ROLES.join(', ')}` };
+    }
+    if (typeof m.content !== 'string') return { error: `messages[${i}].content must be a string` };
+    if (m.content.length > limits.maxMessageChars) {
+      return { error: `messages[${i}].content is too long: ${m.content.length} > ${limits.maxMessageChars} chars` };
+    }
+    total += m.content.length;
+    clean.push({ role: m.role, content: m.content });
+  }
+  if (total > limits.maxTotalChars) {
+    return { error: `Conversation is too long: ${total} > ${limits.maxTotalChars} chars` };
+  }
+  if (!clean.some((m) => m.role === 'user')) return { error: 'messages must contain a user message' };
+
+  return { messages: clean };
+}
+
+module.exports = { validateChatBody, ALLOWED_ROLES };
@@ -1,44 +1,133 @@
 // /api/chat.js — Vercel Serverless Function (Node 18, CommonJS)
+
+const { getProviders, requestCompletion } = require('./_lib/providers');
+const { getConfig } = require('./_lib/config');
+const { validateChatBody } = require('./_lib/validate');
+const { createRateLimiter, getDefaultStore, clientKey } = require('./_lib/rate-limit');
+const Crisis = require('../scripts/crisis');
+
+const config = getConfig();
+let limiter = createRateLimiter({ ...config.rateLimit, store: getDefaultStore() });
+
+/**
+ * Стриминг: читаем SSE провайдера (`data: {choices:[{delta}]}`) и отдаём клиенту
+ * свои события `data: {"delta": "..."}`, в конце `data: {"done": true}`.
+ * Клиент закрыл соединение — обрываем и запрос к провайдеру.
+ */
+async function streamReply(req, res, { providers, messages }) {
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+
+  const { provider, upstream } = await requestCompletion(providers, {
+    messages,
+    stream: true,
+    signal: controller.signal
+  });
+
+  if (!upstream.ok) {
+    const data = await upstream.json().catch(() => ({}));
+    console.error(`LLM upstream error (${provider.id}):`, upstream.status, data);
+    return res.status(upstream.status).json({ error: data?.error?.message || 'Upstream error' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
+  });
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for await (const chunk of upstream.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') continue;
+        try {
+          const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (delta) send({ delta });
+        } catch {
+          // неполный/служебный кусок — пропускаем
+        }
+      }
+    }
+    send({ done: true });
+  } catch (e) {
+    if (!controller.signal.aborted) {
+      console.error(`LLM stream error (${provider.id}):`, e);
+      send({ error: 'Stream interrupted' });
+    }
+  }
+  return res.end();
+}
+
 module.exports = async function handler(req, res) {
-  // CORS (разрешаем наши витрины)
-  const ALLOWED_ORIGINS = [
-    'https://annzinchuk-oliver.github.io',
-    'https://mood-calendar-omega.vercel.app'
-  ];
+  // CORS (витрины — из CORS_ALLOWED_ORIGINS, см. api/_lib/config.js)
   const origin = req.headers.origin || '';
-  if (ALLOWED_ORIGINS.includes(origin)) {
+  if (config.allowedOrigins.includes(origin)) {
     res.setHeader('Access-Control-Allow-Origin', origin);
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
   }
   if (req.method === 'OPTIONS') return res.status(204).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  // читаем тело
-  const body = typeof req.body === 'object' ? req.body : JSON.parse(req.body || '{}');
-  const { messages = [] } = body;
-  if (!Array.isArray(messages)) return res.status(400).json({ error: 'messages must be an array' });
-
-  // --- ключ и модель Groq ---
-  const apiKey = process.env.GROQ_API_KEY;                // <-- одно имя, без вариантов
-  const model  = process.env.GROQ_MODEL || 'llama-3.1-8b-instant';
-  if (!apiKey) return res.status(500).json({ error: 'Missing GROQ_API_KEY' });
+  // лимит запросов на клиента; хранилище недоступно — пропускаем, а не роняем чат
+  try {
+    const { allowed, retryAfter } = await limiter.take(clientKey(req));
+    if (!allowed) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many requests', retryAfter });
+    }
+  } catch (e) {
+    console.warn('Rate limit store error:', e.message);
+  }
 
+  // читаем и проверяем тело
+  let body;
   try {
-    // вызов Groq (OpenAI-совместимый endpoint)
-    const upstream = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ model, temperature: 0.7, messages })
+    body = typeof req.body === 'object' && req.body !== null ? req.body : JSON.parse(req.body || '{}');
+  } catch {
+    return res.status(400).json({ error: 'Body must be valid JSON' });
+  }
+  const checked = validateChatBody(body, config.limits);
+  if (checked.error) return res.status(400).json({ error: checked.error });
+  const { messages } = checked;
+  const stream = body.stream === true;
+
+  // кризисная фраза в последнем сообщении — фиксированный ответ, модель не зовём
+  const lastUser = messages.filter((m) => m.role === 'user').pop();
+  const crisis = Crisis.detect(lastUser.content);
+  if (crisis.matched) {
+    const response = Crisis.buildResponse(crisis.lang);
+    return res.status(200).json({
+      reply: response.text,
+      crisis: { lang: response.lang, contacts: response.contacts }
     });
+  }
+
+  // --- провайдеры LLM (см. api/_lib/providers.js) ---
+  const providers = getProviders();
+  if (!providers.length) {
+    return res.status(500).json({ error: 'No LLM provider configured (GROQ_API_KEY, OPENAI_API_KEY or LLM_BASE_URL)' });
+  }
 
+  try {
+    if (stream) return await streamReply(req, res, { providers, messages });
+
+    // без стриминга — один JSON {reply} (старые клиенты)
+    const { provider, upstream } = await requestCompletion(providers, { messages });
     const data = await upstream.json();
 
     if (!upstream.ok) {
-      console.error('Groq upstream error:', upstream.status, data);
+      console.error(`LLM upstream error (${provider.id}):`, upstream.status, data);
       return res.status(upstream.status).json({ error: data?.error?.message || 'Upstream error' });
     }
 
@@ -49,6 +138,10 @@ module.exports = async function handler(req, res) {
     return res.status(200).json({ reply });
   } catch (e) {
     console.error(e);
+    if (res.headersSent) return res.end();
     return res.status(500).json({ error: 'Server error' });
   }
 };
+
+// для тестов: подменить лимитер (например, на createMemoryStore с малой ёмкостью)
+module.exports.setRateLimiter = (next) => { limiter = next; };
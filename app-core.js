@@ -222,18 +222,38 @@
     };
   }
 
+  function isPlainObject(v) {
+    return typeof v === 'object' && v !== null && !Array.isArray(v);
+  }
+
+  /**
+   * Fill a persisted value with defaults from initialState. Objects are merged
+   * key by key; arrays and primitives are kept only when their type matches
+   * the default, so readers never need their own fallbacks.
+   */
+  function mergeDefaults(defaults, saved) {
+    if (isPlainObject(defaults)) {
+      if (!isPlainObject(saved)) return structuredClone(defaults);
+      const out = { ...saved };
+      Object.keys(defaults).forEach((key) => { out[key] = mergeDefaults(defaults[key], saved[key]); });
+      return out;
+    }
+    if (Array.isArray(defaults)) return Array.isArray(saved) ? saved : structuredClone(defaults);
+    return typeof saved === typeof defaults ? saved : defaults;
+  }
+
   /**
    * Create a store with a persistent state. The store will merge patches
    * into its internal state and notify subscribers when changes occur.
    */
   function createStore(initialState) {
-    // Attempt to load persisted state; fall back to initialState clone if none.
+    // Attempt to load persisted state and fill in keys added to initialState since.
     let state;
     try {
       const raw = localStorage.getItem(STORE_KEY);
-      state = raw ? JSON.parse(raw) : JSON.parse(JSON.stringify(initialState));
+      state = mergeDefaults(initialState, raw ? JSON.parse(raw) : null);
     } catch (err) {
-      state = JSON.parse(JSON.stringify(initialState));
+      state = structuredClone(initialState);
     }
     const subscribers = new Set();
 
@@ -289,6 +309,8 @@
     profile: {
       language: 'ru',
       soundOn: true,
+      vibrationOn: true,
+      voiceOn: false,
       averages: {},
       triggers: {},
       helps: []
@@ -302,7 +324,12 @@
       practices: []
     },
     settings: {
-      reminders: []
+      reminders: [],
+      remindersConfigured: false,
+      quietHours: { enabled: false, from: '22:00', to: '08:00' },
+      skipIfLoggedMin: 60,
+      aiContext: { daily: true, trend: true, timeOfDay: true, screenings: false, notes: false },
+      trendWindow: 7
     }
   };
 
@@ -442,6 +469,19 @@ function getAutoYRange(vals) {
 // Проверяем YYYY-MM-DD
 const _DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
 
+// Общий вид записи в индексе: hour/score обязательны, остальное — если есть
+function toIndexEntry(e) {
+  return {
+    hour: +e.hour,
+    minute: Number.isFinite(+e.minute) ? +e.minute : 0,
+    score: +e.score,
+    mood: e.mood || '',
+    note: e.note || '',
+    tags: Array.isArray(e.tags) ? e.tags.filter((t) => typeof t === 'string' && t) : [],
+    timestamp: Number.isFinite(+e.timestamp) ? +e.timestamp : null
+  };
+}
+
 function buildIndexFromLocalStorage() {
   const byDate = Object.create(null);
   try {
@@ -460,7 +500,7 @@ function buildIndexFromLocalStorage() {
           if (!byDate[dk]) byDate[dk] = [];
           for (const e of arr) {
             if (e && typeof e === 'object' && Number.isFinite(+e.hour) && Number.isFinite(+e.score)) {
-              byDate[dk].push({ hour: +e.hour, score: +e.score, note: e.note || '' });
+              byDate[dk].push(toIndexEntry(e));
             }
           }
         }
@@ -473,7 +513,7 @@ function buildIndexFromLocalStorage() {
           const dk = e.date && _DATE_RE.test(e.date) ? e.date : null;
           if (!dk || !Number.isFinite(+e.hour) || !Number.isFinite(+e.score)) continue;
           if (!byDate[dk]) byDate[dk] = [];
-          byDate[dk].push({ hour: +e.hour, score: +e.score, note: e.note || '' });
+          byDate[dk].push(toIndexEntry(e));
         }
       }
     }
@@ -497,24 +537,34 @@ function getStatsIndex() {
   return Object.create(null);
 }
 
-// «сегодня»
+// «сегодня» — по локальной дате, как ключи в moodData
+// YYYY-MM-DD по местному времени, как ключи в moodData
+function dateKeyOf(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
 function getTodayKey() {
-  return new Date().toISOString().slice(0, 10);
+  return dateKeyOf(new Date());
 }
 
-// ключи дат по диапазону
+// ключи дат по диапазону: '3d' | '7d' | '1m' | 'all' или { from, to } (YYYY-MM-DD, включительно)
 function getDateKeysForRange(rangeKey){
   const allKeys = Object.keys(getStatsIndex()).filter(_ => _DATE_RE.test(_)).sort();
   if (!allKeys.length) return [];
   if (rangeKey === 'all') return allKeys;
 
+  if (rangeKey && typeof rangeKey === 'object') {
+    const { from, to } = rangeKey;
+    return allKeys.filter(k => (!from || k >= from) && (!to || k <= to));
+  }
+
   const now = new Date();
   const from = new Date(now);
   if (rangeKey === '3d') from.setDate(from.getDate() - 2);
   if (rangeKey === '7d') from.setDate(from.getDate() - 6);
   if (rangeKey === '1m') from.setMonth(from.getMonth() - 1);
 
-  const fromStr = from.toISOString().slice(0,10);
+  const fromStr = dateKeyOf(from);
   return allKeys.filter(k => k >= fromStr);
 }
 // Простая поддержка свайпа вниз для закрытия модалки
@@ -609,6 +659,527 @@ if (!document.getElementById(styleBlockId)) {
   document.head.appendChild(s);
 }
 
+// ======== Теги: что поднимает и что тянет вниз ========
+// Пороги, чтобы два случайных совпадения не выдавались за закономерность
+const TAG_MIN_ENTRIES = 5;   // записей с тегом
+const TAG_MIN_DAYS = 3;      // разных дней с тегом
+const TAG_MIN_DELTA = 0.5;   // отличие среднего от базового, баллы
+const TAG_MIN_Z = 1.5;       // отличие в стандартных ошибках среднего
+
+// tags: [{ tag, entries, days, avg, positiveShare, negativeShare, delta, reliable }]
+function aggregateTags(dateKeys, index) {
+  const all = [];
+  const byTag = new Map();
+  for (const k of dateKeys) {
+    const arr = Array.isArray(index[k]) ? index[k] : [];
+    for (const e of arr) {
+      const v = Number(e.score) || 0;
+      all.push(v);
+      const tags = new Set((Array.isArray(e.tags) ? e.tags : []).map((t) => String(t).trim().toLowerCase()).filter(Boolean));
+      tags.forEach((tag) => {
+        if (!byTag.has(tag)) byTag.set(tag, { scores: [], days: new Set() });
+        byTag.get(tag).scores.push(v);
+        byTag.get(tag).days.add(k);
+      });
+    }
+  }
+
+  const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+  const share = (xs) => {
+    const pos = xs.filter((x) => x > 0).length;
+    const neg = xs.filter((x) => x < 0).length;
+    const considered = pos + neg;
+    const positiveShare = considered ? Math.round((pos / considered) * 100) : 0;
+    return { positiveShare, negativeShare: considered ? 100 - positiveShare : 0 };
+  };
+
+  if (!all.length) return { baseline: null, tags: [] };
+  const baseAvg = mean(all);
+  const sd = Math.sqrt(all.reduce((s, x) => s + (x - baseAvg) ** 2, 0) / Math.max(1, all.length - 1)) || 1;
+  const baseline = { entries: all.length, avg: baseAvg, ...share(all) };
+
+  const tags = [...byTag.entries()].map(([tag, { scores, days }]) => {
+    const avg = mean(scores);
+    const delta = avg - baseAvg;
+    const z = delta / (sd / Math.sqrt(scores.length));
+    return {
+      tag,
+      entries: scores.length,
+      days: days.size,
+      avg,
+      ...share(scores),
+      delta,
+      reliable: scores.length >= TAG_MIN_ENTRIES && days.size >= TAG_MIN_DAYS &&
+        Math.abs(delta) >= TAG_MIN_DELTA && Math.abs(z) >= TAG_MIN_Z
+    };
+  }).sort((a, b) => b.delta - a.delta);
+
+  return { baseline, tags };
+}
+
+function formatSignedAvg(v) {
+  const r = Math.round(v * 10) / 10;
+  return r > 0 ? `+${r}` : (r < 0 ? `−${Math.abs(r)}` : '0');
+}
+
+function buildTagList(title, rows, cls) {
+  const box = document.createElement('div');
+  box.className = `tag-insights__group ${cls}`;
+  const h = document.createElement('div');
+  h.className = 'tag-insights__title';
+  h.textContent = title;
+  const ul = document.createElement('ul');
+  ul.className = 'tag-insights__list';
+  rows.forEach((r) => {
+    const li = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'tag-insights__tag';
+    name.textContent = `#${r.tag}`;
+    const delta = document.createElement('span');
+    delta.className = 'tag-insights__delta';
+    delta.textContent = formatSignedAvg(r.delta);
+    const meta = document.createElement('span');
+    meta.className = 'tag-insights__meta';
+    meta.textContent = `в среднем ${formatSignedAvg(r.avg)} · позитив ${r.positiveShare}% · негатив ${r.negativeShare}% · записей ${r.entries}`;
+    li.append(name, delta, meta);
+    ul.appendChild(li);
+  });
+  box.append(h, ul);
+  return box;
+}
+
+function renderTagInsights(dateKeys, index) {
+  const container = document.getElementById('tag-insights-body');
+  if (!container) return;
+  const { baseline, tags } = aggregateTags(dateKeys, index);
+  const lifts = tags.filter((t) => t.reliable && t.delta > 0);
+  const drains = tags.filter((t) => t.reliable && t.delta < 0).reverse();
+  container.innerHTML = '';
+
+  const note = document.createElement('p');
+  note.className = 'hint';
+  if (!baseline) {
+    note.textContent = 'За этот период записей нет.';
+  } else if (!tags.length) {
+    note.textContent = 'Добавляйте к записям теги (#работа, #спорт) — здесь появится, что с ними связано.';
+  } else {
+    note.textContent = `Базовый уровень: в среднем ${formatSignedAvg(baseline.avg)} за запись, позитив ${baseline.positiveShare}%. ` +
+      `Показаны теги минимум из ${TAG_MIN_ENTRIES} записей за ${TAG_MIN_DAYS}+ дня с заметным отличием от базового.`;
+  }
+  container.appendChild(note);
+  if (lifts.length) container.appendChild(buildTagList('Что меня поднимает', lifts, 'is-up'));
+  if (drains.length) container.appendChild(buildTagList('Что отнимает силы', drains, 'is-down'));
+  if (baseline && tags.length && !lifts.length && !drains.length) {
+    const empty = document.createElement('p');
+    empty.className = 'hint';
+    empty.textContent = 'Пока данных мало, чтобы говорить о закономерностях. Попробуйте период подлиннее.';
+    container.appendChild(empty);
+  }
+
+  // снимок для других экранов (например, для чата): profile.triggers
+  const store = window.App?.store;
+  if (store && baseline) {
+    store.update('profile.triggers', {
+      range: overallRange,
+      computedAt: new Date().toISOString(),
+      lifts: lifts.map((t) => ({ tag: t.tag, delta: Math.round(t.delta * 10) / 10, entries: t.entries })),
+      drains: drains.map((t) => ({ tag: t.tag, delta: Math.round(t.delta * 10) / 10, entries: t.entries }))
+    }, { silent: true });
+  }
+}
+
+// ======== Неделя × час: тепловая карта и средние по дням недели ========
+const WEEKDAY_SHORT = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+const WEEKDAY_FULL = ['понедельник', 'вторник', 'среда', 'четверг', 'пятница', 'суббота', 'воскресенье'];
+let weekdayChart = null;
+let heatmapCells = null;
+
+// понедельник = 0, как в календаре по-русски
+function weekdayOf(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return (new Date(y, m - 1, d).getDay() + 6) % 7;
+}
+
+// cells[день][час] = { sum, n, entries: [{ dateKey, e }] }, weekdays[день] = { sum, n }
+function aggregateWeekHour(dateKeys, index) {
+  const cells = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ sum: 0, n: 0, entries: [] })));
+  const weekdays = Array.from({ length: 7 }, () => ({ sum: 0, n: 0 }));
+  for (const k of dateKeys) {
+    const arr = Array.isArray(index[k]) ? index[k] : [];
+    if (!arr.length) continue;
+    const wd = weekdayOf(k);
+    for (const e of arr) {
+      const h = Number(e.hour);
+      if (!(h >= 0 && h <= 23)) continue;
+      const v = Number(e.score) || 0;
+      const cell = cells[wd][h];
+      cell.sum += v;
+      cell.n += 1;
+      cell.entries.push({ dateKey: k, e });
+      weekdays[wd].sum += v;
+      weekdays[wd].n += 1;
+    }
+  }
+  return { cells, weekdays };
+}
+
+function heatColor(avg) {
+  return window.Palette?.moodColor?.(avg * 10) || (avg >= 0 ? '#22c55e' : '#3b82f6');
+}
+
+function renderHeatmap(cells) {
+  const grid = document.getElementById('week-heatmap');
+  if (!grid) return;
+  heatmapCells = cells;
+  grid.innerHTML = '';
+
+  grid.appendChild(document.createElement('span'));
+  for (let h = 0; h < 24; h++) {
+    const label = document.createElement('span');
+    label.className = 'heatmap__hour';
+    label.textContent = h % 3 === 0 ? String(h) : '';
+    grid.appendChild(label);
+  }
+  cells.forEach((row, wd) => {
+    const label = document.createElement('span');
+    label.className = 'heatmap__day';
+    label.textContent = WEEKDAY_SHORT[wd];
+    grid.appendChild(label);
+    row.forEach((cell, h) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'heatmap__cell';
+      btn.dataset.wd = String(wd);
+      btn.dataset.hour = String(h);
+      const hh = `${String(h).padStart(2, '0')}:00`;
+      if (cell.n) {
+        const avg = cell.sum / cell.n;
+        btn.style.background = heatColor(avg);
+        btn.setAttribute('aria-label', `${WEEKDAY_FULL[wd]}, ${hh}: в среднем ${formatSignedAvg(avg)}, записей ${cell.n}`);
+      } else {
+        btn.classList.add('is-empty');
+        btn.disabled = true;
+        btn.setAttribute('aria-label', `${WEEKDAY_FULL[wd]}, ${hh}: нет записей`);
+      }
+      grid.appendChild(btn);
+    });
+  });
+  renderHeatmapDetails(null);
+}
+
+function renderHeatmapDetails(target) {
+  const box = document.getElementById('week-heatmap-details');
+  if (!box) return;
+  document.querySelectorAll('#week-heatmap .heatmap__cell.is-selected').forEach((el) => el.classList.remove('is-selected'));
+  if (!target || !heatmapCells) {
+    box.textContent = 'Коснитесь клетки, чтобы увидеть записи.';
+    return;
+  }
+  const wd = Number(target.dataset.wd);
+  const h = Number(target.dataset.hour);
+  const cell = heatmapCells[wd]?.[h];
+  if (!cell?.n) return;
+  target.classList.add('is-selected');
+
+  box.innerHTML = '';
+  const title = document.createElement('div');
+  title.className = 'heatmap__details-title';
+  title.textContent = `${WEEKDAY_FULL[wd]}, ${String(h).padStart(2, '0')}:00–${String(h).padStart(2, '0')}:59 · в среднем ${formatSignedAvg(cell.sum / cell.n)}`;
+  const ul = document.createElement('ul');
+  ul.className = 'heatmap__details-list';
+  cell.entries
+    .slice()
+    .sort((a, b) => b.dateKey.localeCompare(a.dateKey) || (b.e.minute || 0) - (a.e.minute || 0))
+    .forEach(({ dateKey, e }) => {
+      const li = document.createElement('li');
+      const score = Number(e.score) || 0;
+      const extras = formatEntryExtras(e);
+      li.textContent = `${dateKey} ${String(e.hour).padStart(2, '0')}:${String(e.minute || 0).padStart(2, '0')}  ${score > 0 ? '+' : ''}${score}${extras ? ` — ${extras}` : ''}`;
+      ul.appendChild(li);
+    });
+  box.append(title, ul);
+}
+
+function renderWeekdayChart(weekdays) {
+  const canvas = document.getElementById('weekday-chart');
+  if (!canvas || typeof window.Chart !== 'function') return;
+  const avgs = weekdays.map((w) => (w.n ? Math.round((w.sum / w.n) * 10) / 10 : null));
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+  const axisColor = getComputedStyle(document.documentElement).getPropertyValue('--axis-color').trim() || (isDark ? '#a9b3bf' : '#5f6368');
+  if (weekdayChart && typeof weekdayChart.destroy === 'function') weekdayChart.destroy();
+  weekdayChart = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: WEEKDAY_SHORT,
+      datasets: [{
+        data: avgs,
+        backgroundColor: avgs.map((v) => (v === null ? 'rgba(0,0,0,0.08)' : heatColor(v)))
+      }]
+    },
+    options: {
+      animation: false,
+      maintainAspectRatio: false,
+      responsive: true,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title(ctx) { return WEEKDAY_FULL[ctx[0].dataIndex]; },
+            label(ctx) {
+              const w = weekdays[ctx.dataIndex];
+              return w.n ? `в среднем ${formatSignedAvg(w.sum / w.n)} · записей ${w.n}` : 'нет записей';
+            }
+          }
+        }
+      },
+      scales: {
+        x: { grid: { display: false }, ticks: { color: axisColor } },
+        y: { suggestedMin: -5, suggestedMax: 5, ticks: { color: axisColor, stepSize: 1 } }
+      }
+    }
+  });
+}
+
+function renderWeekPatterns(dateKeys, index) {
+  if (!document.getElementById('week-patterns')) return;
+  const { cells, weekdays } = aggregateWeekHour(dateKeys, index);
+  renderHeatmap(cells);
+  renderWeekdayChart(weekdays);
+
+  // короткий вывод: лучший и худший день недели (хотя бы по 3 записи)
+  const summary = document.getElementById('weekday-summary');
+  if (!summary) return;
+  const rated = weekdays.map((w, i) => ({ i, n: w.n, avg: w.n ? w.sum / w.n : 0 })).filter((w) => w.n >= 3);
+  if (rated.length < 2) {
+    summary.textContent = 'Для сравнения дней недели нужно больше записей.';
+    return;
+  }
+  rated.sort((a, b) => b.avg - a.avg);
+  const best = rated[0];
+  const worst = rated[rated.length - 1];
+  summary.textContent = best.avg - worst.avg < 0.5
+    ? 'Дни недели почти не отличаются.'
+    : `Лучше всего — ${WEEKDAY_FULL[best.i]} (${formatSignedAvg(best.avg)}), тяжелее всего — ${WEEKDAY_FULL[worst.i]} (${formatSignedAvg(worst.avg)}).`;
+}
+
+document.addEventListener('click', (e) => {
+  const cell = e.target.closest?.('#week-heatmap .heatmap__cell');
+  if (cell && !cell.disabled) renderHeatmapDetails(cell);
+});
+
+// ======== Динамика: итог дня и скользящее среднее ========
+const DAILY_CAP = 50;                 // итог дня ограничен ±50 (DAILY_MIN/DAILY_MAX в index.html)
+const TREND_WINDOWS = [0, 3, 7, 14];  // 0 — без скользящего среднего
+let trendChart = null;
+
+function shiftDateKey(key, days) {
+  const [y, m, d] = key.split('-').map(Number);
+  const date = new Date(y, m - 1, d + days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// все календарные дни диапазона подряд, включая пустые — разрывы видны на графике
+function getCalendarDaysForRange(rangeKey) {
+  const withData = getDateKeysForRange(rangeKey);
+  if (!withData.length) return [];
+  const today = getTodayKey();
+  let from = withData[0];
+  if (rangeKey === '3d') from = shiftDateKey(today, -2);
+  if (rangeKey === '7d') from = shiftDateKey(today, -6);
+  if (rangeKey === '1m') {
+    const now = new Date();
+    const d = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
+    from = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+  const to = withData[withData.length - 1] > today ? withData[withData.length - 1] : today;
+  const keys = [];
+  for (let k = from; k <= to; k = shiftDateKey(k, 1)) keys.push(k);
+  return keys;
+}
+
+// итог дня: сохранённый dailyTotals (с клампом по ходу дня), иначе сумма записей с клампом; null — записей не было
+function dailyTotalFor(key, index) {
+  const arr = Array.isArray(index[key]) ? index[key] : [];
+  if (!arr.length) return null;
+  if (typeof dailyTotals !== 'undefined' && typeof dailyTotals[key] === 'number') return dailyTotals[key];
+  const sum = arr.reduce((s, e) => s + (Number(e.score) || 0), 0);
+  return Math.max(-DAILY_CAP, Math.min(DAILY_CAP, sum));
+}
+
+// среднее по дням с записями в окне; пустые дни не считаем нулями.
+// Если в окне меньше половины дней с данными — точки нет.
+function movingAverage(values, windowSize) {
+  if (!windowSize) return values.map(() => null);
+  const minDays = Math.ceil(windowSize / 2);
+  return values.map((_, i) => {
+    const slice = values.slice(Math.max(0, i - windowSize + 1), i + 1).filter((v) => v !== null);
+    if (slice.length < minDays) return null;
+    return Math.round((slice.reduce((s, v) => s + v, 0) / slice.length) * 10) / 10;
+  });
+}
+
+function getTrendWindow() {
+  const saved = window.App?.store?.getState().settings?.trendWindow;
+  return TREND_WINDOWS.includes(saved) ? saved : 7;
+}
+
+function isAtCap(v) {
+  return v !== null && Math.abs(v) >= DAILY_CAP;
+}
+
+// лимит ±50 виден всегда: пунктир, если он попадает в шкалу, иначе подпись
+// со стрелкой у края графика. Дни, упёршиеся в лимит, — треугольники.
+const dailyCapPlugin = {
+  id: 'dailyCap',
+  afterDatasetsDraw(chart, _args, opts) {
+    const { ctx, chartArea, scales: { y } } = chart;
+    if (!y || !chartArea) return;
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = opts.color || 'rgba(228, 87, 87, 0.6)';
+    ctx.fillStyle = opts.color || 'rgba(228, 87, 87, 0.8)';
+    ctx.font = '10px system-ui, sans-serif';
+    [DAILY_CAP, -DAILY_CAP].forEach((v) => {
+      const label = v > 0 ? `лимит +${v}` : `лимит −${Math.abs(v)}`;
+      if (v >= y.min && v <= y.max) {
+        const py = y.getPixelForValue(v);
+        ctx.beginPath();
+        ctx.moveTo(chartArea.left, py);
+        ctx.lineTo(chartArea.right, py);
+        ctx.stroke();
+        ctx.textAlign = 'left';
+        ctx.fillText(label, chartArea.left + 4, py + (v > 0 ? 10 : -4));
+        return;
+      }
+      ctx.textAlign = 'right';
+      ctx.fillText(v > 0 ? `↑ ${label}` : `↓ ${label}`, chartArea.right - 4, v > 0 ? chartArea.top + 10 : chartArea.bottom - 4);
+    });
+    ctx.restore();
+  }
+};
+
+function renderTrendChart(index) {
+  const canvas = document.getElementById('trend-chart');
+  const note = document.getElementById('trend-note');
+  if (!canvas) return;
+  const select = document.getElementById('trend-ma-window');
+  const windowSize = getTrendWindow();
+  if (select) select.value = String(windowSize);
+
+  const keys = getCalendarDaysForRange(overallRange);
+  const totals = keys.map((k) => dailyTotalFor(k, index));
+  const ma = movingAverage(totals, windowSize);
+  const gaps = totals.filter((v) => v === null).length;
+  const capped = totals.filter(isAtCap).length;
+  if (note) {
+    note.textContent = !keys.length
+      ? 'За этот период записей нет.'
+      : `Дней без записей: ${gaps} — на графике это разрывы, а не ноль. Итог дня ограничен ±${DAILY_CAP}`
+        + (capped ? `, упёрся в лимит дней: ${capped} (▲/▼).` : '.');
+  }
+
+  if (trendChart && typeof trendChart.destroy === 'function') trendChart.destroy();
+  trendChart = null;
+  if (typeof window.Chart !== 'function' || !keys.length) return;
+
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+  const rootStyle = getComputedStyle(document.documentElement);
+  const axisColor = rootStyle.getPropertyValue('--axis-color').trim() || (isDark ? '#a9b3bf' : '#5f6368');
+  const gridWeak = rootStyle.getPropertyValue('--grid-weak').trim() || (isDark ? 'rgba(255,255,255,.08)' : 'rgba(0,0,0,.08)');
+  const gridZero = rootStyle.getPropertyValue('--grid-zero').trim() || (isDark ? 'rgba(255,255,255,.55)' : 'rgba(0,0,0,.55)');
+  const brand = rootStyle.getPropertyValue('--brand').trim() || '#6c5ce7';
+  const capColor = isDark ? 'rgba(255, 120, 120, 0.7)' : 'rgba(228, 87, 87, 0.6)';
+  const pointSize = keys.length > 60 ? 1.5 : 3;
+  // та же логика оси, что у графика по часам; за лимит ±50 ось не уводим
+  const yRange = getAutoYRange(totals.filter((v) => v !== null));
+  const yMin = Math.max(yRange.min, -DAILY_CAP - 5);
+  const yMax = Math.min(yRange.max, DAILY_CAP + 5);
+
+  const datasets = [{
+    label: 'Итог дня',
+    data: totals,
+    spanGaps: false,
+    borderColor: isDark ? 'rgba(255,255,255,0.35)' : 'rgba(0,0,0,0.25)',
+    borderWidth: 1,
+    pointRadius: totals.map((v) => (isAtCap(v) ? 5 : pointSize)),
+    pointStyle: totals.map((v) => (isAtCap(v) ? 'triangle' : 'circle')),
+    pointRotation: totals.map((v) => (isAtCap(v) && v < 0 ? 180 : 0)),
+    pointBackgroundColor: totals.map((v) => (v === null ? 'transparent' : (window.Palette?.moodColor?.(v) || '#D8B25A'))),
+    pointBorderColor: capColor,
+    pointBorderWidth: totals.map((v) => (isAtCap(v) ? 1.5 : 0))
+  }];
+  if (windowSize) {
+    datasets.push({
+      label: `Среднее за ${windowSize} дн.`,
+      data: ma,
+      spanGaps: true,
+      borderColor: brand,
+      borderWidth: 2,
+      pointRadius: 0,
+      tension: 0.3
+    });
+  }
+
+  trendChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: { labels: keys, datasets },
+    options: {
+      animation: false,
+      maintainAspectRatio: false,
+      responsive: true,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { display: !!windowSize, labels: { color: axisColor, boxWidth: 12 } },
+        dailyCap: { color: capColor },
+        tooltip: {
+          callbacks: {
+            label(ctx) {
+              if (ctx.parsed.y === null || Number.isNaN(ctx.parsed.y)) return ctx.datasetIndex === 0 ? 'нет записей' : '';
+              const v = ctx.parsed.y;
+              const cap = ctx.datasetIndex === 0 && isAtCap(v) ? ' (лимит)' : '';
+              return `${ctx.dataset.label}: ${v > 0 ? '+' : ''}${v}${cap}`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: { display: false },
+          ticks: {
+            color: axisColor,
+            maxRotation: 0,
+            autoSkip: true,
+            maxTicksLimit: 7,
+            callback(val) {
+              const key = this.getLabelForValue(val);
+              return key ? `${key.slice(8, 10)}.${key.slice(5, 7)}` : '';
+            }
+          }
+        },
+        y: {
+          min: yMin,
+          max: yMax,
+          ticks: { color: axisColor, stepSize: yRange.step },
+          grid: {
+            color: (ctx) => ctx.tick.value === 0 ? gridZero : gridWeak,
+            lineWidth: (ctx) => ctx.tick.value === 0 ? 1 : .5
+          }
+        }
+      }
+    },
+    plugins: [dailyCapPlugin]
+  });
+}
+
+document.addEventListener('change', (e) => {
+  if (e.target?.id !== 'trend-ma-window') return;
+  const value = Number(e.target.value);
+  if (!TREND_WINDOWS.includes(value)) return;
+  window.App?.store?.update('settings.trendWindow', value, { silent: true });
+  renderTrendChart(getStatsIndex());
+});
+
 function renderOverallStats(){
   const labelEl = document.getElementById('overall-range-label');
   if (labelEl) labelEl.textContent = RANGE_LABELS[overallRange] || '';
@@ -616,6 +1187,9 @@ function renderOverallStats(){
   const index = getStatsIndex();
   const container = document.getElementById('overall-stats-body');
   if (container) container.innerHTML = buildOverallStatsHTML(dateKeys, index);
+  renderTrendChart(index);
+  renderWeekPatterns(dateKeys, index);
+  renderTagInsights(dateKeys, index);
 }
 
 function initOverallRangeTabs(){
@@ -645,6 +1219,14 @@ function initOverallRangeTabs(){
   });
 }
 
+// «"заметка" #тег1 #тег2» — хвост записи для подсказок
+function formatEntryExtras(e) {
+  const parts = [];
+  if (e?.note) parts.push(`"${e.note}"`);
+  if (Array.isArray(e?.tags) && e.tags.length) parts.push(e.tags.map((t) => `#${t}`).join(' '));
+  return parts.join(' ');
+}
+
 // ======== «Сегодня по часам» (Chart.js, фолбэк, фиксы оси X) ========
 function renderTodayHourlyChart(){
   // агрегируем сегодня
@@ -742,10 +1324,21 @@ function renderTodayHourlyChart(){
               const arr = hourlyEntriesList[hour];
               if (!arr.length) return `${total} (нет записей)`;
               if (arr.length === 1) {
-                const n = arr[0].note ? ` — "${arr[0].note}"` : '';
-                return `${total>0?'+':''}${total}${n}`;
+                const extras = formatEntryExtras(arr[0]);
+                return `${total>0?'+':''}${total}${extras ? ` — ${extras}` : ''}`;
               }
               return `${total>0?'+':''}${total} (${arr.length} записей)`;
+            },
+            // при нескольких записях в часе — по строке на каждую
+            afterLabel(ctx){
+              const arr = hourlyEntriesList[ctx.dataIndex];
+              if (arr.length < 2) return '';
+              return arr.map((e) => {
+                const time = `${String(e.hour).padStart(2,'0')}:${String(e.minute || 0).padStart(2,'0')}`;
+                const score = Number(e.score) || 0;
+                const extras = formatEntryExtras(e);
+                return `${time}  ${score>0?'+':''}${score}${extras ? ` — ${extras}` : ''}`;
+              });
             }
           }
         }
@@ -1042,6 +1635,7 @@ if (document.readyState === 'loading') {
     window.renderMonth = noop;
     window.selectDay = noop;
     window.navigateMonth = noop;
+    window.getSelectedDateKey = () => null;
     return;
   }
 
@@ -1057,8 +1651,12 @@ if (document.readyState === 'loading') {
     return new Date(date.getFullYear(), date.getMonth(), 1);
   }
 
+  // ключ по локальной дате — как getDateKey() в index.html, иначе в UTC+N день «съезжает»
   function formatDateKey(date) {
-    return date.toISOString().slice(0, 10);
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
   }
 
   function formatMonthTitle(date) {
@@ -1117,7 +1715,6 @@ if (document.readyState === 'loading') {
       btn.textContent = String(d.day);
       btn.setAttribute('data-day', String(d.day));
       btn.dataset.date = d.dateKey;
-      btn.addEventListener('click', () => selectDay(d));
       daysGridEl.appendChild(btn);
     });
   }
@@ -1196,10 +1793,37 @@ if (document.readyState === 'loading') {
     renderMonth();
   }
 
+  // клетки перерисовывает и updateCalendar() из index.html, поэтому слушаем сетку целиком
+  daysGridEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.day');
+    if (!btn || !daysGridEl.contains(btn)) return;
+    const key = btn.dataset.date ||
+      (btn.dataset.year && btn.dataset.month
+        ? formatDateKey(new Date(Number(btn.dataset.year), Number(btn.dataset.month), Number(btn.dataset.day)))
+        : null);
+    if (!selectDay(key)) return;
+    if (typeof window.openDayPanel === 'function') window.openDayPanel(key);
+  });
+
+  // перейти к месяцу дня и выделить его (из «Года в пикселях»)
+  function showDate(dateKey) {
+    if (!_DATE_RE.test(String(dateKey))) return;
+    const [y, m] = dateKey.split('-').map(Number);
+    currentMonth = new Date(y, m - 1, 1);
+    // updateCalendar() в index.html рисует по своему selectedDate — держим его в том же месяце
+    if (typeof selectedDate !== 'undefined' && selectedDate instanceof Date) {
+      selectedDate.setFullYear(y, m - 1, 1);
+    }
+    selectedDateKey = dateKey;
+    renderMonth();
+  }
+
   window.renderMonthDays = renderMonthDays;
   window.renderMonth = renderMonth;
+  window.showCalendarDate = showDate;
   window.selectDay = selectDay;
   window.navigateMonth = changeMonth;
+  window.getSelectedDateKey = () => selectedDateKey;
 
   const bus = window.App?.bus;
   if (bus?.on) {
@@ -1210,6 +1834,161 @@ if (document.readyState === 'loading') {
   renderMonth();
 })();
 
+/* ===== Day panel: все записи дня с правкой и удалением ===== */
+(function initDayPanel(){
+  const modal = document.getElementById('day-modal');
+  const titleEl = document.getElementById('dayModalTitle');
+  const summaryEl = document.getElementById('dayModalSummary');
+  const listEl = document.getElementById('dayEntries');
+  const emptyEl = document.getElementById('dayEntriesEmpty');
+  const addBtn = document.getElementById('dayAddEntryBtn');
+  if (!modal || !listEl) {
+    window.openDayPanel = () => {};
+    return;
+  }
+
+  const MONTHS_GENITIVE = [
+    'января', 'февраля', 'марта', 'апреля', 'мая', 'июня',
+    'июля', 'августа', 'сентября', 'октября', 'ноября', 'декабря'
+  ];
+
+  let openKey = null;
+  const LOW_SCORE = -2; // с такой записи предлагаем разобрать мысль
+
+  function formatTitle(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return `${d} ${MONTHS_GENITIVE[m - 1] || ''} ${y}`;
+  }
+
+  function signed(v) {
+    return v > 0 ? `+${v}` : (v < 0 ? `−${Math.abs(v)}` : '0');
+  }
+
+  // сырые записи (с timestamp) нужны для правки, индекс статистики — только фолбэк
+  function getDayEntries(dateKey) {
+    const source = (typeof moodData !== 'undefined' && moodData) ? moodData : getStatsIndex();
+    const entries = Array.isArray(source[dateKey]) ? source[dateKey] : [];
+    return entries.slice().sort((a, b) =>
+      (a.timestamp || 0) - (b.timestamp || 0) || (a.hour - b.hour) || ((a.minute || 0) - (b.minute || 0)));
+  }
+
+  function moodLabel(entry) {
+    const types = typeof moodTypes !== 'undefined' ? moodTypes : {};
+    return types[entry.mood]?.name || '';
+  }
+
+  function buildEntryItem(entry) {
+    const score = Number(entry.score) || 0;
+    const li = document.createElement('li');
+    li.className = 'day-entry';
+
+    const main = document.createElement('div');
+    main.className = 'day-entry__main';
+
+    const time = document.createElement('span');
+    time.className = 'day-entry__time';
+    time.textContent = `${String(entry.hour).padStart(2, '0')}:${String(entry.minute || 0).padStart(2, '0')}`;
+
+    const badge = document.createElement('span');
+    badge.className = 'day-entry__score';
+    const color = window.Palette?.moodColor?.(score * 10) || '#D8B25A';
+    badge.style.background = color;
+    badge.style.color = pickTextOn(color);
+    badge.textContent = signed(score);
+
+    const mood = document.createElement('span');
+    mood.className = 'day-entry__mood';
+    mood.textContent = moodLabel(entry);
+
+    main.append(time, badge, mood);
+    li.appendChild(main);
+
+    if (entry.note) {
+      const note = document.createElement('div');
+      note.className = 'day-entry__note';
+      note.textContent = entry.note;
+      li.appendChild(note);
+    }
+    if (Array.isArray(entry.tags) && entry.tags.length) {
+      const tags = document.createElement('div');
+      tags.className = 'day-entry__tags';
+      tags.textContent = entry.tags.map((t) => `#${t}`).join(' ');
+      li.appendChild(tags);
+    }
+
+    if (entry.timestamp) {
+      const actions = document.createElement('div');
+      actions.className = 'day-entry__actions';
+      actions.innerHTML = `
+        ${score <= LOW_SCORE && window.ThoughtRecord ? '<button type="button" class="chip" data-entry-action="thought" aria-label="Разобрать мысль" title="Дневник мыслей">🧠</button>' : ''}
+        <button type="button" class="chip" data-entry-action="edit" aria-label="Изменить запись">✏️</button>
+        <button type="button" class="chip" data-entry-action="delete" aria-label="Удалить запись">🗑</button>`;
+      actions.querySelectorAll('button').forEach((b) => { b.dataset.ts = String(entry.timestamp); });
+      main.appendChild(actions);
+    }
+    return li;
+  }
+
+  function render() {
+    if (!openKey) return;
+    const entries = getDayEntries(openKey);
+    const total = typeof dailyTotals !== 'undefined' && typeof dailyTotals[openKey] === 'number'
+      ? dailyTotals[openKey]
+      : entries.reduce((sum, e) => sum + (Number(e.score) || 0), 0);
+
+    if (titleEl) titleEl.textContent = formatTitle(openKey);
+    if (summaryEl) {
+      summaryEl.textContent = entries.length
+        ? `Итог дня: ${signed(total)} · записей: ${entries.length}`
+        : '';
+    }
+    listEl.innerHTML = '';
+    entries.forEach((e) => listEl.appendChild(buildEntryItem(e)));
+    if (emptyEl) emptyEl.hidden = entries.length > 0;
+    // будущие дни заполнять нельзя
+    if (addBtn) addBtn.disabled = openKey > getTodayKey();
+  }
+
+  function openDayPanel(dateKey) {
+    if (!dateKey) return;
+    openKey = dateKey;
+    render();
+    window.openModal?.(modal);
+  }
+
+  listEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-entry-action]');
+    if (!btn || !openKey) return;
+    const ts = Number(btn.dataset.ts);
+    if (btn.dataset.entryAction === 'edit') {
+      if (typeof window.openMoodEditor === 'function') window.openMoodEditor(openKey, ts);
+    } else if (btn.dataset.entryAction === 'thought') {
+      const entry = getDayEntries(openKey).find((e) => e.timestamp === ts);
+      const dateKey = openKey;
+      window.closeModal?.(modal);
+      window.ThoughtRecord?.open({ date: dateKey, moodTs: ts, situation: entry?.note || '' });
+    } else if (btn.dataset.entryAction === 'delete') {
+      if (!window.confirm('Удалить эту запись?')) return;
+      if (typeof window.deleteMoodEntry === 'function') window.deleteMoodEntry(openKey, ts);
+    }
+  });
+
+  // новая запись — в модалке настроения, дата подставится из выбранного дня
+  addBtn?.addEventListener('click', () => {
+    if (!openKey) return;
+    window.selectDay?.(openKey);
+    if (typeof window.openMoodSlider === 'function') window.openMoodSlider();
+  });
+
+  // правки/удаления приходят через общий сигнал об изменении данных
+  document.addEventListener('stats:data-changed', () => {
+    if (!modal.hidden) render();
+  });
+  modal.addEventListener('modal:close', () => { openKey = null; });
+
+  window.openDayPanel = openDayPanel;
+})();
+
 /* ===== ensure month nav re-renders calendar ===== */
 (function initMonthNav(){
   const prevBtn = document.getElementById('prevMonthBtn') || document.getElementById('prevMonth');
@@ -0,0 +1,323 @@
+// scripts/backup.js
+// Резервная копия всех данных приложения в один JSON-файл и восстановление из него.
+(function (global) {
+  const APP_ID = 'mood-calendar';
+  const BACKUP_VERSION = 1;
+  const SCHEMA_VERSION_KEY = 'moodSchemaVersion';
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  // type: json — кладём в файл разобранным, text — строкой как есть.
+  // merge: как объединять с текущими данными в режиме «Объединить».
+  const BACKUP_KEYS = [
+    { key: 'moodData',        type: 'json', merge: 'entries' },
+    { key: 'dailyMoods',      type: 'json', merge: 'derived' },
+    { key: 'dailyScores',     type: 'json', merge: 'derived' },
+    { key: 'dailyTotals',     type: 'json', merge: 'derived' },
+    { key: 'chatMessages',    type: 'json', merge: 'list' },
+    { key: 'chatConversations', type: 'json', merge: 'deep' },
+    { key: 'moodImports',     type: 'json', merge: 'list' },
+    { key: 'appStore_v1',     type: 'json', merge: 'deep' },
+    { key: 'moodCalendar.v1', type: 'json', merge: 'keep' },
+    { key: 'THEME',           type: 'text', merge: 'keep' },
+    { key: 'theme',           type: 'text', merge: 'keep' },
+    { key: SCHEMA_VERSION_KEY, type: 'text', merge: 'keep' },
+    { key: 'mood.schema.v2',  type: 'text', merge: 'keep' },
+    { key: 'aiLastProactiveAt', type: 'text', merge: 'keep' },
+    { key: 'chatCrisisAt',    type: 'text', merge: 'keep' }
+  ];
+
+  // ожидаемая форма json-ключей — для валидации файла
+  const SHAPES = {
+    moodData: 'object',
+    dailyMoods: 'object',
+    dailyScores: 'object',
+    dailyTotals: 'object',
+    chatMessages: 'array',
+    chatConversations: 'object',
+    moodImports: 'array',
+    appStore_v1: 'object',
+    'moodCalendar.v1': 'object'
+  };
+
+  function currentSchemaVersion() {
+    return typeof CURRENT_SCHEMA_VERSION === 'number' ? CURRENT_SCHEMA_VERSION : 0;
+  }
+
+  function readKey(def) {
+    const raw = localStorage.getItem(def.key);
+    if (raw == null) return undefined;
+    if (def.type === 'text') return raw;
+    try { return JSON.parse(raw); } catch { return undefined; }
+  }
+
+  function writeKey(def, value) {
+    if (value === undefined) {
+      localStorage.removeItem(def.key);
+    } else {
+      localStorage.setItem(def.key, def.type === 'text' ? String(value) : JSON.stringify(value));
+    }
+  }
+
+  function readAll() {
+    const data = {};
+    BACKUP_KEYS.forEach((def) => {
+      const value = readKey(def);
+      if (value !== undefined) data[def.key] = value;
+    });
+    return data;
+  }
+
+  function writeAll(data) {
+    BACKUP_KEYS.forEach((def) => writeKey(def, data[def.key]));
+  }
+
+  /* ---------- Экспорт ---------- */
+
+  function buildBackup() {
+    return {
+      app: APP_ID,
+      backupVersion: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      schemaVersion: parseInt(localStorage.getItem(SCHEMA_VERSION_KEY) || '0', 10) || 0,
+      data: readAll()
+    };
+  }
+
+  function exportBackup() {
+    const backup = buildBackup();
+    const stamp = new Date().toISOString().slice(0, 10);
+    global.downloadFile(`mood-calendar-backup-${stamp}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    return backup;
+  }
+
+  /* ---------- Проверка файла ---------- */
+
+  function shapeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value && typeof value === 'object') return 'object';
+    return typeof value;
+  }
+
+  /**
+   * Разбирает и проверяет текст файла. Бросает Error с понятным сообщением,
+   * возвращает { backup, stats } для подтверждения пользователем.
+   */
+  function parseBackup(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch {
+      throw new Error('Файл не похож на резервную копию: это не JSON.');
+    }
+    if (!backup || typeof backup !== 'object' || backup.app !== APP_ID) {
+      throw new Error('Файл не похож на резервную копию Календаря настроения.');
+    }
+    if (!Number.isInteger(backup.backupVersion) || backup.backupVersion < 1) {
+      throw new Error('В файле нет версии резервной копии.');
+    }
+    if (backup.backupVersion > BACKUP_VERSION) {
+      throw new Error('Копия сделана более новой версией приложения — обновите приложение.');
+    }
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 0) {
+      throw new Error('В файле нет версии схемы данных.');
+    }
+    if (backup.schemaVersion > currentSchemaVersion()) {
+      throw new Error('Схема данных в копии новее, чем у приложения — обновите приложение.');
+    }
+    if (!backup.data || shapeOf(backup.data) !== 'object') {
+      throw new Error('В копии нет данных.');
+    }
+
+    Object.keys(SHAPES).forEach((key) => {
+      if (backup.data[key] === undefined) return;
+      if (shapeOf(backup.data[key]) !== SHAPES[key]) {
+        throw new Error(`Повреждён раздел «${key}».`);
+      }
+    });
+
+    const moodData = backup.data.moodData || {};
+    let entries = 0;
+    const days = Object.keys(moodData).filter((k) => {
+      if (!DATE_RE.test(k)) throw new Error(`Неверная дата в записях: «${k}».`);
+      const day = moodData[k];
+      if (shapeOf(day) !== 'array' && shapeOf(day) !== 'object') {
+        throw new Error(`Повреждены записи за ${k}.`);
+      }
+      entries += Array.isArray(day) ? day.length : Object.keys(day).length;
+      return true;
+    });
+
+    return {
+      backup,
+      stats: { days: days.length, entries, exportedAt: backup.exportedAt || null }
+    };
+  }
+
+  /* ---------- Миграции ---------- */
+
+  /**
+   * Старую копию прогоняем через MIGRATIONS: временно кладём её данные
+   * в localStorage, запускаем runMigrationsIfNeeded() и забираем результат.
+   * Текущие данные при этом возвращаются на место в любом случае.
+   */
+  async function migrateBackupData(data, fromVersion) {
+    if (fromVersion >= currentSchemaVersion()) return data;
+    if (typeof runMigrationsIfNeeded !== 'function') {
+      throw new Error('Миграции недоступны — не получится прочитать старую копию.');
+    }
+
+    const snapshot = readAll();
+    try {
+      writeAll(data);
+      localStorage.setItem(SCHEMA_VERSION_KEY, String(fromVersion));
+      await runMigrationsIfNeeded();
+      const reached = parseInt(localStorage.getItem(SCHEMA_VERSION_KEY) || '0', 10);
+      if (reached < currentSchemaVersion()) {
+        throw new Error('Не удалось обновить формат старой копии.');
+      }
+      return readAll();
+    } finally {
+      writeAll(snapshot);
+    }
+  }
+
+  /* ---------- Объединение ---------- */
+
+  function entryKey(e) {
+    if (e && Number.isFinite(e.timestamp)) return `t:${e.timestamp}`;
+    if (e && typeof e === 'object' && e.ts != null) return `t:${e.ts}`;
+    if (e && typeof e === 'object' && e.id != null) return `id:${e.id}`;
+    return `j:${JSON.stringify(e)}`;
+  }
+
+  // объединение списков без дублей; при совпадении побеждает локальная версия
+  function mergeList(local, incoming) {
+    const out = Array.isArray(local) ? local.slice() : [];
+    const seen = new Set(out.map(entryKey));
+    (Array.isArray(incoming) ? incoming : []).forEach((item) => {
+      const k = entryKey(item);
+      if (seen.has(k)) return;
+      seen.add(k);
+      out.push(item);
+    });
+    return out;
+  }
+
+  // объекты — рекурсивно, массивы — mergeList, скаляры — локальные
+  function mergeDeep(local, incoming) {
+    if (Array.isArray(local) || Array.isArray(incoming)) return mergeList(local, incoming);
+    if (shapeOf(local) !== 'object') return local === undefined ? incoming : local;
+    if (shapeOf(incoming) !== 'object') return local;
+    const out = { ...local };
+    Object.keys(incoming).forEach((k) => {
+      out[k] = k in local ? mergeDeep(local[k], incoming[k]) : incoming[k];
+    });
+    return out;
+  }
+
+  // записи по дням, дубликаты — по timestamp
+  function mergeMoodData(local, incoming) {
+    const merged = { ...(local || {}) };
+    const touched = [];
+    Object.keys(incoming || {}).forEach((dateKey) => {
+      const before = Array.isArray(merged[dateKey]) ? merged[dateKey] : [];
+      const next = mergeList(before, incoming[dateKey]);
+      if (next.length !== before.length) {
+        merged[dateKey] = next.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        touched.push(dateKey);
+      }
+    });
+    return { merged, touched };
+  }
+
+  /* ---------- Импорт ---------- */
+
+  /**
+   * mode: 'replace' — текущие данные полностью заменяются копией,
+   *       'merge'   — записи и списки объединяются без дублей.
+   * После импорта страница перезагружается, чтобы все модули перечитали данные.
+   */
+  async function importBackup(backup, mode = 'merge') {
+    const data = await migrateBackupData(backup.data, backup.schemaVersion);
+
+    if (mode === 'replace') {
+      writeAll(data);
+      localStorage.setItem(SCHEMA_VERSION_KEY, String(currentSchemaVersion()));
+      return { mode, touchedDays: Object.keys(data.moodData || {}).length };
+    }
+
+    const local = readAll();
+    const { merged, touched } = mergeMoodData(local.moodData, data.moodData);
+
+    BACKUP_KEYS.forEach((def) => {
+      if (!(def.key in data)) return;
+      if (def.merge === 'list') writeKey(def, mergeList(local[def.key], data[def.key]));
+      if (def.merge === 'deep') writeKey(def, mergeDeep(local[def.key], data[def.key]));
+      if (def.merge === 'keep' && local[def.key] === undefined) writeKey(def, data[def.key]);
+    });
+    localStorage.setItem('moodData', JSON.stringify(merged));
+
+    // итоги дней считаем заново тем же кодом, что и при записи
+    if (typeof loadData === 'function' && typeof recomputeDay === 'function') {
+      loadData();
+      touched.forEach((dateKey) => recomputeDay(dateKey));
+      if (typeof saveData === 'function') saveData();
+    }
+    return { mode, touchedDays: touched.length };
+  }
+
+  /* ---------- UI в настройках ---------- */
+
+  function bindBackupUI() {
+    const exportBtn = document.getElementById('backupExportBtn');
+    const pickBtn = document.getElementById('backupPickBtn');
+    const fileInput = document.getElementById('backupFileInput');
+    const statusEl = document.getElementById('backupStatus');
+    if (!exportBtn || !pickBtn || !fileInput) return;
+
+    const setStatus = (text, isError = false) => {
+      if (!statusEl) return;
+      statusEl.textContent = text;
+      statusEl.classList.toggle('is-error', isError);
+    };
+
+    exportBtn.addEventListener('click', () => {
+      try {
+        exportBackup();
+        setStatus('Копия сохранена.');
+      } catch (err) {
+        console.error('[backup] export failed', err);
+        setStatus('Не удалось сохранить копию.', true);
+      }
+    });
+
+    pickBtn.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files && fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+
+      const mode = document.querySelector('input[name="backupMode"]:checked')?.value === 'replace' ? 'replace' : 'merge';
+      try {
+        const { backup, stats } = parseBackup(await file.text());
+        const when = stats.exportedAt ? new Date(stats.exportedAt).toLocaleString('ru-RU') : 'неизвестно';
+        const question = mode === 'replace'
+          ? `В копии ${stats.entries} записей за ${stats.days} дн. (от ${when}).\nЗаменить ВСЕ текущие данные?`
+          : `В копии ${stats.entries} записей за ${stats.days} дн. (от ${when}).\nДобавить их к текущим данным?`;
+        if (!global.confirm(question)) return;
+
+        await importBackup(backup, mode);
+        setStatus('Данные восстановлены. Перезагружаем…');
+        setTimeout(() => global.location.reload(), 600);
+      } catch (err) {
+        console.error('[backup] import failed', err);
+        setStatus(err.message || 'Не удалось восстановить данные.', true);
+      }
+    });
+  }
+
+  global.Backup = { BACKUP_KEYS, buildBackup, exportBackup, parseBackup, importBackup };
+
+  global.onAppReady(bindBackupUI);
+})(window);
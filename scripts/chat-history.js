@@ -0,0 +1,239 @@
+// scripts/chat-history.js
+// История чата: несколько бесед в localStorage (chatConversations),
+// переключение/переименование/удаление и контекст последних реплик для /api/chat.
+(function (global) {
+  const STORE_KEY = 'chatConversations';
+  const MAX_CONVERSATIONS = 30;
+  const MAX_MESSAGES = 200;
+  const TITLE_LENGTH = 40;
+  const DEFAULT_TITLE = 'Новая беседа';
+
+  // грубая оценка токенов: ~3 символа на токен (кириллица дробится мельче латиницы)
+  function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 3) + 4;
+  }
+
+  function read() {
+    const raw = typeof getJson === 'function' ? getJson(STORE_KEY, null) : null;
+    const list = Array.isArray(raw?.list) ? raw.list.filter((c) => c && c.id && Array.isArray(c.messages)) : [];
+    return { activeId: raw?.activeId || null, list };
+  }
+
+  function write(state) {
+    if (typeof setJson === 'function') setJson(STORE_KEY, state);
+  }
+
+  function makeConversation(title = DEFAULT_TITLE) {
+    const now = new Date().toISOString();
+    return { id: global.makeId('conv'), title, titleEdited: false, createdAt: now, updatedAt: now, messages: [] };
+  }
+
+  /* ---------- Данные ---------- */
+
+  function list() {
+    return read().list.slice().sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
+  function getActive() {
+    const state = read();
+    return state.list.find((c) => c.id === state.activeId) || null;
+  }
+
+  // активная беседа (создаём, если её ещё нет)
+  function ensureActive() {
+    const state = read();
+    let conv = state.list.find((c) => c.id === state.activeId);
+    if (conv) return conv;
+    conv = makeConversation();
+    state.list.push(conv);
+    state.activeId = conv.id;
+    write(state);
+    return conv;
+  }
+
+  function create() {
+    const state = read();
+    // пустую активную беседу не плодим — просто остаёмся в ней
+    const active = state.list.find((c) => c.id === state.activeId);
+    if (active && !active.messages.length) return active;
+    const conv = makeConversation();
+    state.list.push(conv);
+    state.activeId = conv.id;
+    // самые старые беседы уходят, когда их слишком много
+    if (state.list.length > MAX_CONVERSATIONS) {
+      state.list.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+      state.list = state.list.slice(0, MAX_CONVERSATIONS);
+    }
+    write(state);
+    return conv;
+  }
+
+  function setActive(id) {
+    const state = read();
+    if (!state.list.some((c) => c.id === id)) return false;
+    state.activeId = id;
+    write(state);
+    return true;
+  }
+
+  function rename(id, title) {
+    const clean = String(title || '').trim().slice(0, 80);
+    if (!clean) return false;
+    const state = read();
+    const conv = state.list.find((c) => c.id === id);
+    if (!conv) return false;
+    conv.title = clean;
+    conv.titleEdited = true;
+    write(state);
+    return true;
+  }
+
+  function remove(id) {
+    const state = read();
+    state.list = state.list.filter((c) => c.id !== id);
+    if (state.activeId === id) {
+      const next = state.list.slice().sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0];
+      state.activeId = next ? next.id : null;
+    }
+    write(state);
+  }
+
+  /**
+   * role: 'user' | 'assistant'; extra — например { crisis: { lang } }.
+   * Первая реплика пользователя становится названием беседы, пока его не переименовали.
+   */
+  function append(role, content, extra = {}) {
+    const text = String(content || '').trim();
+    if (!text && !extra.crisis) return null;
+    ensureActive();
+    const state = read();
+    const conv = state.list.find((c) => c.id === state.activeId);
+    const message = { role, content: text, ts: Date.now(), ...extra };
+    conv.messages = conv.messages.concat(message).slice(-MAX_MESSAGES);
+    conv.updatedAt = new Date().toISOString();
+    if (role === 'user' && !conv.titleEdited && conv.title === DEFAULT_TITLE) {
+      conv.title = text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+    }
+    write(state);
+    return message;
+  }
+
+  /**
+   * Последние реплики активной беседы в формате OpenAI, от новых к старым,
+   * пока влезают в бюджет токенов. Кризисные ответы — фиксированный текст, их не шлём.
+   */
+  function buildContext(budgetTokens = 1500, maxMessages = 30) {
+    const conv = getActive();
+    if (!conv) return [];
+    const out = [];
+    let used = 0;
+    for (let i = conv.messages.length - 1; i >= 0 && out.length < maxMessages; i--) {
+      const m = conv.messages[i];
+      if (m.crisis || !m.content || (m.role !== 'user' && m.role !== 'assistant')) continue;
+      const cost = estimateTokens(m.content);
+      if (out.length && used + cost > budgetTokens) break;
+      used += cost;
+      out.unshift({ role: m.role, content: m.content });
+    }
+    // модель ждёт, что диалог начинается с реплики пользователя
+    while (out.length && out[0].role !== 'user') out.shift();
+    return out;
+  }
+
+  /* ---------- UI: список бесед ---------- */
+
+  function byId(id) { return document.getElementById(id); }
+
+  function rerenderChat() {
+    if (typeof global.renderConversation === 'function') global.renderConversation();
+  }
+
+  function renderList() {
+    const host = byId('conversationsList');
+    if (!host) return;
+    const activeId = read().activeId;
+    host.innerHTML = '';
+    const items = list();
+    byId('conversationsEmpty')?.toggleAttribute('hidden', items.length > 0);
+
+    items.forEach((c) => {
+      const li = document.createElement('li');
+      li.className = 'conversation' + (c.id === activeId ? ' is-active' : '');
+      li.dataset.id = c.id;
+
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = 'conversation__open';
+      open.dataset.action = 'open';
+      const title = document.createElement('span');
+      title.className = 'conversation__title';
+      title.textContent = c.title || DEFAULT_TITLE;
+      const meta = document.createElement('span');
+      meta.className = 'conversation__meta';
+      meta.textContent = `${new Date(c.updatedAt).toLocaleDateString('ru-RU')} · сообщений: ${c.messages.length}`;
+      open.append(title, meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'conversation__actions';
+      [['rename', 'Переименовать'], ['delete', 'Удалить']].forEach(([action, label]) => {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.className = 'chip';
+        b.dataset.action = action;
+        b.textContent = label;
+        actions.appendChild(b);
+      });
+
+      li.append(open, actions);
+      host.appendChild(li);
+    });
+  }
+
+  function bindConversationsUI() {
+    const modal = byId('conversations-modal');
+    const host = byId('conversationsList');
+    if (!modal || !host) return;
+
+    modal.addEventListener('modal:open', renderList);
+
+    host.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      const row = e.target.closest('.conversation');
+      if (!btn || !row) return;
+      const id = row.dataset.id;
+
+      if (btn.dataset.action === 'open') {
+        setActive(id);
+        rerenderChat();
+        global.closeModal?.(modal);
+        return;
+      }
+      if (btn.dataset.action === 'rename') {
+        const conv = read().list.find((c) => c.id === id);
+        const title = global.prompt('Название беседы', conv?.title || '');
+        if (title != null && rename(id, title)) renderList();
+        return;
+      }
+      if (btn.dataset.action === 'delete') {
+        if (!global.confirm('Удалить беседу? Сообщения нельзя будет вернуть.')) return;
+        const wasActive = read().activeId === id;
+        remove(id);
+        renderList();
+        if (wasActive) rerenderChat();
+      }
+    });
+
+    const startNew = () => {
+      create();
+      rerenderChat();
+      global.closeModal?.(modal);
+      byId('chatInput')?.focus();
+    };
+    byId('conversationsNewBtn')?.addEventListener('click', startNew);
+    byId('chatNewBtn')?.addEventListener('click', startNew);
+  }
+
+  global.ChatHistory = { list, getActive, ensureActive, create, setActive, rename, remove, append, buildContext, estimateTokens };
+
+  global.onAppReady(bindConversationsUI);
+})(window);
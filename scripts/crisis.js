@@ -0,0 +1,90 @@
+// scripts/crisis.js
+// Распознавание фраз о суициде/самоповреждении (RU/EN) и фиксированный ответ
+// с телефонами помощи — без участия модели. Один модуль на клиент (window.Crisis)
+// и сервер (require('../scripts/crisis') в api/chat.js).
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.Crisis = api;
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  // текст приводим к нижнему регистру, ё → е, схлопываем пробелы
+  const PATTERNS = [
+    // русский
+    /суицид/,
+    /самоубийств/,
+    /поконч\S*\s+(с\s+)?собой/,
+    /(убить|убью|убиваю)\s+себя/,
+    /(не\s+хочу|не\s+хочется|незачем|нет\s+смысла)\s+жить/,
+    /(хочу|хочется)\s+умереть/,
+    /лучше\s+бы\s+(я\s+)?(умер|умерла|не\s+родил)/,
+    /св(ести|еду)\s+сч[её]ты\s+с\s+жизнью/,
+    /(вскрыть|вскрою|резать|режу|порезать|порежу)\s+(себе\s+)?(вены|себя|руки)/,
+    /(повеситься|повешусь|выпрыгнуть\s+из\s+окна|спрыгнуть\s+с\s+крыши)/,
+    /наглотаться\s+таблеток/,
+    /самоповрежд/,
+    /(уйти|уйду)\s+из\s+жизни/,
+    // english
+    /suicid/,
+    /kill(ing)?\s+myself/,
+    /end(ing)?\s+(my|it)\s+(life|all)/,
+    /take\s+my\s+(own\s+)?life/,
+    /(want|wanna)\s+to\s+die/,
+    /(don'?t|do\s+not)\s+want\s+to\s+(live|be\s+alive|wake\s+up)/,
+    /better\s+off\s+dead/,
+    /no\s+reason\s+to\s+live/,
+    /self[-\s]?harm/,
+    /(hurt|cut|cutting|harm)\s+myself/
+  ];
+
+  const HOTLINES = {
+    ru: [
+      { label: 'Экстренные службы', phone: '112' },
+      { label: 'Экстренная психологическая помощь МЧС', phone: '+7 495 989-50-50' },
+      { label: 'Телефон доверия для детей и подростков', phone: '8 800 2000-122' }
+    ],
+    en: [
+      { label: 'Suicide & Crisis Lifeline (US, Canada)', phone: '988' },
+      { label: 'Samaritans (UK, Ireland)', phone: '116 123' },
+      { label: 'Emergency services', phone: '112' }
+    ]
+  };
+
+  const MESSAGES = {
+    ru: 'Мне очень жаль, что вам сейчас так тяжело. Вы не одни, и с этим можно справиться вместе с людьми, которые умеют помогать. ' +
+      'Пожалуйста, позвоните прямо сейчас на линию помощи или в экстренные службы — это бесплатно. ' +
+      'Если рядом есть кто-то, кому вы доверяете, скажите ему, что вам плохо.',
+    en: 'I\'m really sorry you\'re feeling this way. You don\'t have to go through it alone — people on these lines are trained to help right now. ' +
+      'Please call a crisis line or emergency services. If someone you trust is nearby, let them know how you feel.'
+  };
+
+  function normalize(text) {
+    return String(text || '').toLowerCase().replace(/ё/g, 'е').replace(/[’`]/g, "'").replace(/\s+/g, ' ');
+  }
+
+  // язык ответа: по тексту сообщения, иначе — по языку интерфейса
+  function detectLang(text, fallback = 'ru') {
+    if (/[а-яё]/i.test(String(text || ''))) return 'ru';
+    if (/[a-z]/i.test(String(text || ''))) return 'en';
+    return fallback === 'en' ? 'en' : 'ru';
+  }
+
+  /** { matched, lang } — lang нужен, чтобы дать телефоны на понятном языке */
+  function detect(text) {
+    const norm = normalize(text);
+    return { matched: PATTERNS.some((re) => re.test(norm)), lang: detectLang(text) };
+  }
+
+  function telHref(phone) {
+    return `tel:${phone.replace(/[^\d+]/g, '')}`;
+  }
+
+  /** Фиксированный ответ: текст + контакты (для ссылок «позвонить») */
+  function buildResponse(lang = 'ru') {
+    const key = lang === 'en' ? 'en' : 'ru';
+    const contacts = HOTLINES[key].map((c) => ({ ...c, href: telHref(c.phone) }));
+    const text = `${MESSAGES[key]}\n\n${contacts.map((c) => `${c.label}: ${c.phone}`).join('\n')}`;
+    return { lang: key, text, message: MESSAGES[key], contacts };
+  }
+
+  return { detect, buildResponse, normalize, HOTLINES };
+});
@@ -0,0 +1,489 @@
+// scripts/csv-import.js
+// Импорт истории из других трекеров (Daylio и любой CSV): сопоставление колонок,
+// перевод шкалы оценок в −5..+5, предпросмотр и удаление импорта целиком.
+(function (global) {
+  const IMPORTS_KEY = 'moodImports';
+  const PREVIEW_ROWS = 10;
+  const SCALE_MIN = -5;
+  const SCALE_MAX = 5;
+  const NONE = '';
+
+  // текстовые метки (Daylio: rad/good/meh/bad/awful) → значение ползунка
+  const LABEL_PRESETS = {
+    rad: 4, good: 2, meh: 0, bad: -2, awful: -4,
+    'супер': 4, 'отлично': 4, 'хорошо': 2, 'нормально': 0, 'так себе': 0, 'плохо': -2, 'ужасно': -4
+  };
+
+  // по заголовкам угадываем, какая колонка за что отвечает (порядок = приоритет)
+  const COLUMN_HINTS = {
+    date: ['full_date', 'date', 'дата', 'day', 'день'],
+    time: ['time', 'время', 'hour'],
+    mood: ['mood', 'настроение', 'score', 'оценка', 'rating', 'value'],
+    note: ['note', 'заметка', 'comment', 'комментарий', 'text'],
+    tags: ['activities', 'tags', 'теги', 'занятия']
+  };
+
+  const FIELDS = [
+    { id: 'date', label: 'Дата', required: true },
+    { id: 'time', label: 'Время' },
+    { id: 'mood', label: 'Настроение', required: true },
+    { id: 'note', label: 'Заметка' },
+    { id: 'tags', label: 'Теги' }
+  ];
+
+  const DATE_FORMATS = [
+    { id: 'auto', label: 'Авто' },
+    { id: 'ymd', label: 'ГГГГ-ММ-ДД' },
+    { id: 'dmy', label: 'ДД.ММ.ГГГГ' },
+    { id: 'mdy', label: 'ММ/ДД/ГГГГ' }
+  ];
+
+  let state = null;
+
+  function byId(id) { return document.getElementById(id); }
+  function pad2(n) { return String(n).padStart(2, '0'); }
+
+  /* ---------- Разбор значений ---------- */
+
+  function toDateKey(y, m, d) {
+    if (y < 100) y += 2000;
+    const date = new Date(y, m - 1, d);
+    if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+    return `${y}-${pad2(m)}-${pad2(d)}`;
+  }
+
+  // 'YYYY-MM-DD' или null
+  function parseDate(raw, format) {
+    const s = String(raw || '').trim();
+    const ymd = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (ymd && (format === 'auto' || format === 'ymd')) {
+      return toDateKey(+ymd[1], +ymd[2], +ymd[3]);
+    }
+    const other = s.match(/^(\d{1,2})([./-])(\d{1,2})\2(\d{2,4})/);
+    if (!other) return null;
+    let order = format;
+    if (order === 'auto' || order === 'ymd') {
+      // точка — европейский формат; со слэшем решаем по первому числу
+      order = (other[2] === '.' || +other[1] > 12) ? 'dmy' : 'mdy';
+    }
+    return order === 'dmy'
+      ? toDateKey(+other[4], +other[3], +other[1])
+      : toDateKey(+other[4], +other[1], +other[3]);
+  }
+
+  // { hour, minute } или null; понимает «9:05», «21:30:00», «9:05 pm»
+  function parseTime(raw) {
+    const m = String(raw || '').match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?/i);
+    if (!m) return null;
+    let hour = +m[1];
+    const minute = +m[2];
+    const ampm = (m[3] || '').toLowerCase();
+    if (ampm === 'pm' && hour < 12) hour += 12;
+    if (ampm === 'am' && hour === 12) hour = 0;
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute };
+  }
+
+  function parseNumber(raw) {
+    const s = String(raw || '').trim().replace(',', '.');
+    if (!/^[-+]?\d+(\.\d+)?$/.test(s)) return null;
+    return Number(s);
+  }
+
+  function labelKey(raw) {
+    return String(raw || '').trim().toLowerCase();
+  }
+
+  // экспорт (scripts/csv.js) ставит ' перед = + - @ — при импорте своих файлов снимаем
+  function unescapeFormula(s) {
+    return /^'[=+\-@\t\r]/.test(s) ? s.slice(1) : s;
+  }
+
+  function toTag(raw) {
+    if (typeof normalizeTag === 'function') return normalizeTag(raw);
+    return String(raw || '').trim().replace(/^#+/, '').toLowerCase();
+  }
+
+  /* ---------- Сопоставление ---------- */
+
+  function guessColumn(header, field, taken) {
+    const names = header.map((h) => String(h || '').trim().toLowerCase());
+    for (const hint of COLUMN_HINTS[field]) {
+      const idx = names.findIndex((n, i) => n === hint && !taken.has(i));
+      if (idx !== -1) return idx;
+    }
+    for (const hint of COLUMN_HINTS[field]) {
+      const idx = names.findIndex((n, i) => n.includes(hint) && !taken.has(i));
+      if (idx !== -1) return idx;
+    }
+    return -1;
+  }
+
+  // по значениям колонки настроения выбираем числовую шкалу или метки
+  function guessScale(rows, col) {
+    const values = rows.map((r) => r[col]).filter((v) => String(v || '').trim() !== '');
+    const numbers = values.map(parseNumber).filter((v) => v !== null);
+    if (values.length && numbers.length / values.length >= 0.9) {
+      return { mode: 'numeric', min: Math.min(...numbers), max: Math.max(...numbers), labels: {} };
+    }
+    const labels = {};
+    values.forEach((v) => {
+      const key = labelKey(v);
+      if (!(key in labels)) labels[key] = key in LABEL_PRESETS ? LABEL_PRESETS[key] : 0;
+    });
+    return { mode: 'labels', min: 0, max: 0, labels };
+  }
+
+  function scoreFor(raw) {
+    const { scale } = state;
+    if (scale.mode === 'numeric') {
+      const v = parseNumber(raw);
+      if (v === null) return null;
+      if (scale.max === scale.min) return 0;
+      const ratio = (v - scale.min) / (scale.max - scale.min);
+      const score = Math.round(SCALE_MIN + ratio * (SCALE_MAX - SCALE_MIN));
+      return Math.max(SCALE_MIN, Math.min(SCALE_MAX, score));
+    }
+    const key = labelKey(raw);
+    return key in scale.labels ? scale.labels[key] : null;
+  }
+
+  // строки файла → записи для insertMoodEntries()
+  function convertRows() {
+    const { rows, cols, dateFormat } = state;
+    const items = [];
+    let invalid = 0;
+    let future = 0;
+    const now = Date.now();
+
+    rows.forEach((row) => {
+      const dateKey = parseDate(row[cols.date], dateFormat);
+      const score = scoreFor(row[cols.mood]);
+      if (!dateKey || score === null) { invalid++; return; }
+
+      // время — из своей колонки или из ячейки даты («2024-03-05 21:30», «5/3/24 9:30»):
+      // в самой дате двоеточий нет, так что ищем по всей ячейке
+      const time = (cols.time >= 0 ? parseTime(row[cols.time]) : null) ||
+        parseTime(row[cols.date]) ||
+        { hour: 12, minute: 0 };
+      const [y, m, d] = dateKey.split('-').map(Number);
+      if (new Date(y, m - 1, d, time.hour, time.minute).getTime() > now) { future++; return; }
+
+      const note = cols.note >= 0 ? unescapeFormula(String(row[cols.note] || '').trim()) : '';
+      const tags = cols.tags >= 0
+        ? String(row[cols.tags] || '').split(/\s*[|;,]\s*/).map(toTag).filter(Boolean)
+        : [];
+      items.push({ dateKey, hour: time.hour, minute: time.minute, score, note, tags: [...new Set(tags)] });
+    });
+    return { items, invalid, future };
+  }
+
+  function countDuplicates(items) {
+    const data = typeof moodData !== 'undefined' ? moodData : {};
+    return items.filter(({ dateKey, hour, minute, score }) =>
+      (Array.isArray(data[dateKey]) ? data[dateKey] : []).some((e) =>
+        e.hour === hour && (e.minute || 0) === minute && Number(e.score) === score)).length;
+  }
+
+  /* ---------- Журнал импортов ---------- */
+
+  function readImports() {
+    const list = typeof getJson === 'function' ? getJson(IMPORTS_KEY, []) : [];
+    return Array.isArray(list) ? list : [];
+  }
+
+  function writeImports(list) {
+    if (typeof setJson === 'function') setJson(IMPORTS_KEY, list);
+  }
+
+  // сколько записей импорта ещё лежит в moodData
+  function countImported(importId) {
+    const data = typeof moodData !== 'undefined' ? moodData : {};
+    return Object.keys(data).reduce((sum, k) =>
+      sum + (Array.isArray(data[k]) ? data[k].filter((e) => e.importId === importId).length : 0), 0);
+  }
+
+  function renderImportsList() {
+    const host = byId('importBatches');
+    if (!host) return;
+    host.innerHTML = '';
+    const batches = readImports()
+      .map((b) => ({ ...b, left: countImported(b.id) }))
+      .filter((b) => b.left > 0);
+    if (!batches.length) {
+      host.hidden = true;
+      return;
+    }
+    host.hidden = false;
+    batches.forEach((b) => {
+      const li = document.createElement('li');
+      li.className = 'import-batch';
+      const info = document.createElement('span');
+      const when = b.at ? new Date(b.at).toLocaleDateString('ru-RU') : '';
+      info.textContent = `${b.name || 'CSV'} · ${when} · записей: ${b.left}`;
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'chip';
+      del.dataset.importId = b.id;
+      del.textContent = 'Удалить';
+      li.append(info, del);
+      host.appendChild(li);
+    });
+  }
+
+  function removeImport(importId) {
+    if (typeof deleteImportedEntries !== 'function') return 0;
+    const removed = deleteImportedEntries(importId);
+    writeImports(readImports().filter((b) => b.id !== importId));
+    renderImportsList();
+    return removed;
+  }
+
+  /* ---------- UI модалки ---------- */
+
+  function fillSelect(select, header, value, allowNone) {
+    select.innerHTML = '';
+    if (allowNone) select.appendChild(new Option('— нет —', NONE));
+    header.forEach((name, i) => {
+      select.appendChild(new Option(String(name || '').trim() || `Колонка ${i + 1}`, String(i)));
+    });
+    select.value = value >= 0 ? String(value) : NONE;
+  }
+
+  function renderMapping() {
+    FIELDS.forEach((f) => {
+      const select = byId(`importCol_${f.id}`);
+      if (select) fillSelect(select, state.header, state.cols[f.id], !f.required);
+    });
+    const fmt = byId('importDateFormat');
+    if (fmt && !fmt.options.length) {
+      DATE_FORMATS.forEach((d) => fmt.appendChild(new Option(d.label, d.id)));
+    }
+    if (fmt) fmt.value = state.dateFormat;
+    renderScale();
+  }
+
+  function renderScale() {
+    const host = byId('importScale');
+    if (!host) return;
+    host.innerHTML = '';
+    const { scale } = state;
+
+    const title = document.createElement('div');
+    title.className = 'mood-field__label';
+    host.appendChild(title);
+
+    if (scale.mode === 'numeric') {
+      title.textContent = 'Шкала в файле → наш ползунок −5…+5';
+      const row = document.createElement('div');
+      row.className = 'mood-when';
+      [['min', 'Минимум (= −5)'], ['max', 'Максимум (= +5)']].forEach(([key, label]) => {
+        const wrap = document.createElement('label');
+        wrap.className = 'mood-field';
+        const span = document.createElement('span');
+        span.className = 'mood-field__label';
+        span.textContent = label;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'input mood-when__input';
+        input.value = String(scale[key]);
+        input.dataset.scale = key;
+        wrap.append(span, input);
+        row.appendChild(wrap);
+      });
+      host.appendChild(row);
+      return;
+    }
+
+    title.textContent = 'Значения в файле → наш ползунок −5…+5';
+    const list = document.createElement('div');
+    list.className = 'import-labels';
+    Object.keys(scale.labels).forEach((key) => {
+      const wrap = document.createElement('label');
+      wrap.className = 'import-label';
+      const span = document.createElement('span');
+      span.textContent = key || '(пусто)';
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = String(SCALE_MIN);
+      input.max = String(SCALE_MAX);
+      input.step = '1';
+      input.className = 'input mood-when__input';
+      input.value = String(scale.labels[key]);
+      input.dataset.label = key;
+      wrap.append(span, input);
+      list.appendChild(wrap);
+    });
+    host.appendChild(list);
+  }
+
+  function renderPreview() {
+    const table = byId('importPreview');
+    const summary = byId('importSummary');
+    const commitBtn = byId('importCommitBtn');
+    const { items, invalid, future } = convertRows();
+    const duplicates = countDuplicates(items);
+    state.items = items;
+
+    if (summary) {
+      const parts = [`Будет добавлено: ${items.length - duplicates}`];
+      if (duplicates) parts.push(`уже есть: ${duplicates}`);
+      if (invalid) parts.push(`не распознано: ${invalid}`);
+      if (future) parts.push(`в будущем: ${future}`);
+      summary.textContent = parts.join(' · ');
+    }
+    if (commitBtn) commitBtn.disabled = items.length - duplicates <= 0;
+
+    if (!table) return;
+    table.innerHTML = '';
+    const head = table.createTHead().insertRow();
+    ['Дата', 'Время', 'Балл', 'Заметка', 'Теги'].forEach((h) => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    items.slice(0, PREVIEW_ROWS).forEach((it) => {
+      const tr = body.insertRow();
+      [
+        it.dateKey,
+        `${pad2(it.hour)}:${pad2(it.minute)}`,
+        it.score > 0 ? `+${it.score}` : String(it.score),
+        it.note,
+        it.tags.map((t) => `#${t}`).join(' ')
+      ].forEach((v) => { tr.insertCell().textContent = v; });
+    });
+  }
+
+  function showStep(step) {
+    const fileStep = byId('importStepFile');
+    const mapStep = byId('importStepMap');
+    if (fileStep) fileStep.hidden = step !== 'file';
+    if (mapStep) mapStep.hidden = step !== 'map';
+  }
+
+  function setStatus(text, isError = false) {
+    const el = byId('importStatus');
+    if (!el) return;
+    el.textContent = text;
+    el.classList.toggle('is-error', isError);
+  }
+
+  function loadFile(name, text) {
+    const parsed = global.Csv.parse(text);
+    if (!parsed.length) throw new Error('Файл пустой.');
+
+    // если в первой строке уже дата — заголовка нет
+    const first = parsed[0];
+    const hasHeader = !first.some((cell) => parseDate(cell, 'auto'));
+    const header = hasHeader ? first : first.map((_, i) => `Колонка ${i + 1}`);
+    const rows = hasHeader ? parsed.slice(1) : parsed;
+    if (!rows.length) throw new Error('В файле нет строк с данными.');
+
+    const taken = new Set();
+    const cols = {};
+    FIELDS.forEach((f) => {
+      cols[f.id] = guessColumn(header, f.id, taken);
+      if (cols[f.id] >= 0) taken.add(cols[f.id]);
+    });
+
+    state = { name, header, rows, cols, dateFormat: 'auto', scale: { mode: 'labels', labels: {} }, items: [] };
+    if (cols.mood >= 0) state.scale = guessScale(rows, cols.mood);
+    byId('importFileInfo').textContent = `${name}: строк — ${rows.length}. Проверьте, какие колонки что означают.`;
+    renderMapping();
+    renderPreview();
+    showStep('map');
+  }
+
+  function onMappingChange(e) {
+    if (!state) return;
+    const t = e.target;
+    if (t.dataset.field) {
+      state.cols[t.dataset.field] = t.value === NONE ? -1 : Number(t.value);
+      if (t.dataset.field === 'mood') {
+        state.scale = state.cols.mood >= 0 ? guessScale(state.rows, state.cols.mood) : { mode: 'labels', labels: {} };
+        renderScale();
+      }
+    } else if (t.id === 'importDateFormat') {
+      state.dateFormat = t.value;
+    } else if (t.dataset.scale) {
+      const v = Number(t.value);
+      if (Number.isFinite(v)) state.scale[t.dataset.scale] = v;
+    } else if (t.dataset.label !== undefined) {
+      const v = Math.round(Number(t.value));
+      if (Number.isFinite(v)) state.scale.labels[t.dataset.label] = Math.max(SCALE_MIN, Math.min(SCALE_MAX, v));
+    } else {
+      return;
+    }
+    renderPreview();
+  }
+
+  function commit() {
+    if (!state || !state.items.length || typeof insertMoodEntries !== 'function') return;
+    if (state.cols.date < 0 || state.cols.mood < 0) {
+      setStatus('Укажите колонки даты и настроения.', true);
+      return;
+    }
+    const importId = `imp-${Date.now()}`;
+    const added = insertMoodEntries(state.items.map((it) => ({ ...it, importId })));
+    if (added) {
+      writeImports(readImports().concat({ id: importId, name: state.name, at: new Date().toISOString(), count: added }));
+    }
+    renderImportsList();
+    global.closeModal?.('#import-modal');
+    const settingsStatus = byId('importSettingsStatus');
+    if (settingsStatus) settingsStatus.textContent = added ? `Импортировано записей: ${added}.` : 'Новых записей не нашлось.';
+  }
+
+  function bindImportUI() {
+    const modal = byId('import-modal');
+    const openBtn = byId('importOpenBtn');
+    const pickBtn = byId('importPickBtn');
+    const fileInput = byId('importFileInput');
+    if (!modal || !fileInput) return;
+
+    openBtn?.addEventListener('click', () => {
+      state = null;
+      setStatus('');
+      showStep('file');
+      const commitBtn = byId('importCommitBtn');
+      if (commitBtn) commitBtn.disabled = true;
+      global.openModal?.(modal);
+    });
+    pickBtn?.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files && fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      try {
+        loadFile(file.name, await file.text());
+        setStatus('');
+      } catch (err) {
+        console.error('[import] read failed', err);
+        setStatus(err.message || 'Не удалось прочитать файл.', true);
+      }
+    });
+
+    FIELDS.forEach((f) => { const el = byId(`importCol_${f.id}`); if (el) el.dataset.field = f.id; });
+    byId('importStepMap')?.addEventListener('change', onMappingChange);
+    byId('importStepMap')?.addEventListener('input', onMappingChange);
+    byId('importCommitBtn')?.addEventListener('click', commit);
+
+    byId('importBatches')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-import-id]');
+      if (!btn) return;
+      if (!global.confirm('Удалить все записи этого импорта?')) return;
+      const removed = removeImport(btn.dataset.importId);
+      const settingsStatus = byId('importSettingsStatus');
+      if (settingsStatus) settingsStatus.textContent = `Удалено записей: ${removed}.`;
+    });
+
+    byId('settings-modal')?.addEventListener('modal:open', renderImportsList);
+    renderImportsList();
+  }
+
+  global.CsvImport = { parseDate, parseTime, removeImport, LABEL_PRESETS };
+
+  global.onAppReady(bindImportUI);
+})(window);
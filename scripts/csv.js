@@ -0,0 +1,224 @@
+// scripts/csv.js
+// CSV: разбор/форматирование и экспорт записей/итогов по дням для таблиц.
+(function (global) {
+  const BOM = '\uFEFF'; // чтобы Excel понял UTF-8
+
+  // Excel и Таблицы считают ячейку с = + - @ в начале формулой — текст экранируем
+  // апострофом; числа (−3, −1.50) оставляем как есть
+  const FORMULA_START = /^[=+\-@\t\r]/;
+  const NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+  function escapeCell(value) {
+    if (value == null) return '';
+    let s = String(value);
+    if (FORMULA_START.test(s) && !NUMBER.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // rows — массив массивов; первая строка — заголовок
+  function stringify(rows) {
+    return rows.map((row) => row.map(escapeCell).join(',')).join('\r\n');
+  }
+
+  // разделитель — тот из , ; \t, которого больше в первой строке
+  function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const candidates = [',', ';', '\t'];
+    return candidates.reduce((best, d) =>
+      (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+  }
+
+  /**
+   * RFC 4180: кавычки, "" внутри кавычек, переносы строк внутри ячейки.
+   * Возвращает массив строк-массивов без полностью пустых строк.
+   */
+  function parse(text, delimiter) {
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    const sep = delimiter || detectDelimiter(src);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (inQuotes) {
+        if (ch === '"') {
+          if (src[i + 1] === '"') { cell += '"'; i++; }
+          else inQuotes = false;
+        } else {
+          cell += ch;
+        }
+        continue;
+      }
+      if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === sep) {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== '' || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((c) => c.trim() !== ''));
+  }
+
+  /* ---------- Экспорт ---------- */
+
+  const ENTRY_HEADER = ['date', 'time', 'score', 'mood', 'note', 'tags'];
+  const DAILY_HEADER = ['date', 'total', 'average', 'entries', 'dominant_mood', 'positive_share', 'negative_share', 'zero_entries'];
+
+  function moodLabel(mood) {
+    const types = typeof moodTypes !== 'undefined' ? moodTypes : {};
+    return types[mood]?.name || mood || '';
+  }
+
+  function pad2(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  // самое частое настроение дня — как в миграции v2 для dailyMoods
+  function dominantMood(entries) {
+    const counts = entries.reduce((acc, e) => {
+      if (e.mood) acc[e.mood] = (acc[e.mood] || 0) + 1;
+      return acc;
+    }, {});
+    const keys = Object.keys(counts);
+    if (!keys.length) return '';
+    return keys.reduce((a, b) => (counts[a] >= counts[b] ? a : b));
+  }
+
+  function sortedEntries(index, dateKey) {
+    const arr = Array.isArray(index[dateKey]) ? index[dateKey] : [];
+    return arr.slice().sort((a, b) => (a.hour - b.hour) || ((a.minute || 0) - (b.minute || 0)));
+  }
+
+  function buildEntriesRows(range) {
+    const index = getStatsIndex();
+    const rows = [ENTRY_HEADER];
+    getDateKeysForRange(range).forEach((dateKey) => {
+      sortedEntries(index, dateKey).forEach((e) => {
+        rows.push([
+          dateKey,
+          `${pad2(e.hour)}:${pad2(e.minute || 0)}`,
+          Number(e.score) || 0,
+          moodLabel(e.mood),
+          e.note || '',
+          (Array.isArray(e.tags) ? e.tags : []).join('; ')
+        ]);
+      });
+    });
+    return rows;
+  }
+
+  // цифры — из aggregateRange() по одному дню, чтобы совпадать с окном статистики
+  function buildDailyRows(range) {
+    const index = getStatsIndex();
+    const rows = [DAILY_HEADER];
+    getDateKeysForRange(range).forEach((dateKey) => {
+      const s = aggregateRange([dateKey], index);
+      if (!s.totalEntries) return;
+      rows.push([
+        dateKey,
+        s.balanceSum,
+        (s.balanceSum / s.totalEntries).toFixed(2),
+        s.totalEntries,
+        moodLabel(dominantMood(sortedEntries(index, dateKey))),
+        s.positiveShare,
+        s.negativeShare,
+        s.zeroEntries
+      ]);
+    });
+    return rows;
+  }
+
+  function rangeSuffix(range) {
+    if (range && typeof range === 'object') return `${range.from || 'start'}_${range.to || 'end'}`;
+    return String(range || 'all');
+  }
+
+  function exportEntriesCsv(range) {
+    const rows = buildEntriesRows(range);
+    global.downloadFile(`mood-entries-${rangeSuffix(range)}.csv`, BOM + stringify(rows), 'text/csv;charset=utf-8');
+    return rows.length - 1;
+  }
+
+  function exportDailyCsv(range) {
+    const rows = buildDailyRows(range);
+    global.downloadFile(`mood-daily-${rangeSuffix(range)}.csv`, BOM + stringify(rows), 'text/csv;charset=utf-8');
+    return rows.length - 1;
+  }
+
+  /* ---------- UI в настройках ---------- */
+
+  function bindCsvExportUI() {
+    const tabs = document.getElementById('csvRangeTabs');
+    const customRow = document.getElementById('csvCustomRange');
+    const fromEl = document.getElementById('csvFrom');
+    const toEl = document.getElementById('csvTo');
+    const entriesBtn = document.getElementById('csvEntriesBtn');
+    const dailyBtn = document.getElementById('csvDailyBtn');
+    const statusEl = document.getElementById('csvStatus');
+    if (!tabs || !entriesBtn || !dailyBtn) return;
+
+    let range = '7d';
+
+    const setStatus = (text, isError = false) => {
+      if (!statusEl) return;
+      statusEl.textContent = text;
+      statusEl.classList.toggle('is-error', isError);
+    };
+
+    function syncTabs() {
+      tabs.querySelectorAll('.tab').forEach((b) => {
+        const active = b.dataset.range === range;
+        b.classList.toggle('active', active);
+        b.setAttribute('aria-selected', active ? 'true' : 'false');
+      });
+      if (customRow) customRow.hidden = range !== 'custom';
+    }
+
+    function currentRange() {
+      if (range !== 'custom') return range;
+      const from = fromEl?.value || '';
+      const to = toEl?.value || '';
+      if (from && to && from > to) throw new Error('Начало периода позже конца.');
+      return { from, to };
+    }
+
+    tabs.addEventListener('click', (e) => {
+      const btn = e.target.closest('button.tab');
+      if (!btn || !btn.dataset.range) return;
+      range = btn.dataset.range;
+      syncTabs();
+    });
+
+    function run(exporter) {
+      try {
+        const count = exporter(currentRange());
+        setStatus(count ? `Готово: строк — ${count}.` : 'За этот период записей нет — файл пустой.');
+      } catch (err) {
+        console.error('[csv] export failed', err);
+        setStatus(err.message || 'Не удалось выгрузить CSV.', true);
+      }
+    }
+
+    entriesBtn.addEventListener('click', () => run(exportEntriesCsv));
+    dailyBtn.addEventListener('click', () => run(exportDailyCsv));
+    syncTabs();
+  }
+
+  global.Csv = { stringify, parse, detectDelimiter, buildEntriesRows, buildDailyRows, exportEntriesCsv, exportDailyCsv };
+
+  global.onAppReady(bindCsvExportUI);
+})(window);
@@ -0,0 +1,296 @@
+// scripts/custom-practices.js
+// Свои практики пользователя в App.store catalog.practices: тот же формат,
+// что у window.PRACTICES (timer — фазы × циклы, steps — шаги), редактор
+// в #practice-editor-modal и карточки на странице терапии рядом со встроенными.
+(function (global) {
+  const MAX_PHASE_SECONDS = 600;
+  const MAX_CYCLES = 50;
+  const CUES = [
+    { id: 'inhale', label: 'Вдох' },
+    { id: 'hold', label: 'Задержка' },
+    { id: 'exhale', label: 'Выдох' }
+  ];
+
+  // заготовки для редактора
+  const TEMPLATES = {
+    box: {
+      title: 'Квадратное дыхание 4–4–4–4',
+      subtitle: 'Вдох 4 → задержка 4 → выдох 4 → задержка 4.',
+      type: 'timer',
+      cycles: 6,
+      phases: [
+        { name: 'Вдох', seconds: 4, hint: 'Вдох носом', cue: 'inhale' },
+        { name: 'Задержка', seconds: 4, hint: 'Пауза на полном вдохе', cue: 'hold' },
+        { name: 'Выдох', seconds: 4, hint: 'Медленный выдох', cue: 'exhale' },
+        { name: 'Задержка', seconds: 4, hint: 'Пауза на выдохе', cue: 'hold' }
+      ]
+    },
+    coherent: {
+      title: 'Когерентное дыхание',
+      subtitle: 'Ровно: вдох 5 секунд, выдох 5 секунд.',
+      type: 'timer',
+      cycles: 15,
+      phases: [
+        { name: 'Вдох', seconds: 5, hint: 'Плавный вдох', cue: 'inhale' },
+        { name: 'Выдох', seconds: 5, hint: 'Плавный выдох', cue: 'exhale' }
+      ]
+    },
+    steps: {
+      title: 'Моё заземление',
+      subtitle: 'Свои шаги, чтобы вернуться в «здесь и сейчас».',
+      type: 'steps',
+      steps: ['Поставьте ноги на пол и почувствуйте опору.']
+    }
+  };
+
+  let editingId = null;
+
+  function byId(id) { return document.getElementById(id); }
+
+  /* ---------- Данные ---------- */
+
+  function list() {
+    return global.App.store.getState().catalog.practices.filter((p) => p && p.id);
+  }
+
+  function write(items) {
+    global.App.store.update('catalog.practices', items);
+  }
+
+  /** Встроенные + свои — по этому списку ищет PracticeEngine.openById. */
+  function all() {
+    const builtIn = Array.isArray(global.PRACTICES) ? global.PRACTICES : [];
+    return builtIn.concat(list().map((p) => ({ ...p, custom: true })));
+  }
+
+  function find(id) {
+    return all().find((p) => p.id === id) || null;
+  }
+
+  /**
+   * Приводит черновик к формату практики. Возвращает { practice } или { error }.
+   */
+  function normalize(draft) {
+    const title = String(draft.title || '').trim();
+    if (!title) return { error: 'Укажите название.' };
+    const base = {
+      id: draft.id || global.makeId('custom'),
+      title: title.slice(0, 80),
+      subtitle: String(draft.subtitle || '').trim().slice(0, 200),
+      type: draft.type === 'steps' ? 'steps' : 'timer'
+    };
+
+    if (base.type === 'steps') {
+      const steps = (draft.steps || []).map((s) => String(s).trim()).filter(Boolean);
+      if (!steps.length) return { error: 'Добавьте хотя бы один шаг.' };
+      return { practice: { ...base, steps } };
+    }
+
+    const cycles = Number(draft.cycles);
+    if (!Number.isInteger(cycles) || cycles < 1 || cycles > MAX_CYCLES) {
+      return { error: `Число циклов — целое от 1 до ${MAX_CYCLES}.` };
+    }
+    const phases = [];
+    for (const [i, p] of (draft.phases || []).entries()) {
+      const name = String(p.name || '').trim();
+      const seconds = Number(p.seconds);
+      if (!name) return { error: `Фаза ${i + 1}: укажите название.` };
+      if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_PHASE_SECONDS) {
+        return { error: `Фаза ${i + 1}: длительность — целое число секунд от 1 до ${MAX_PHASE_SECONDS}.` };
+      }
+      const cue = CUES.some((c) => c.id === p.cue) ? p.cue : 'hold';
+      phases.push({ name: name.slice(0, 40), seconds, hint: String(p.hint || '').trim().slice(0, 120), cue });
+    }
+    if (!phases.length) return { error: 'Добавьте хотя бы одну фазу.' };
+    return { practice: { ...base, cycles, phases } };
+  }
+
+  function save(draft) {
+    const result = normalize(draft);
+    if (result.error) return result;
+    const items = list();
+    const idx = items.findIndex((p) => p.id === result.practice.id);
+    if (idx >= 0) items[idx] = result.practice;
+    else items.push(result.practice);
+    write(items);
+    return result;
+  }
+
+  function remove(id) {
+    write(list().filter((p) => p.id !== id));
+  }
+
+  function move(id, dir) {
+    const items = list();
+    const i = items.findIndex((p) => p.id === id);
+    const j = i + dir;
+    if (i < 0 || j < 0 || j >= items.length) return;
+    [items[i], items[j]] = [items[j], items[i]];
+    write(items);
+  }
+
+  /* ---------- Карточки на странице терапии ---------- */
+
+  function describe(p) {
+    if (p.subtitle) return p.subtitle;
+    if (p.type === 'steps') return `Шагов: ${p.steps.length}.`;
+    return `${p.phases.map((ph) => `${ph.name} ${ph.seconds}`).join(' → ')}, циклов: ${p.cycles}.`;
+  }
+
+  function renderCards() {
+    const host = byId('customPracticesList');
+    if (!host) return;
+    const items = list();
+    host.innerHTML = '';
+    items.forEach((p, i) => {
+      const card = document.createElement('div');
+      card.className = 'card custom-practice';
+      card.dataset.id = p.id;
+
+      const h = document.createElement('h3');
+      h.style.marginBottom = '8px';
+      h.textContent = p.title;
+      const d = document.createElement('p');
+      d.textContent = describe(p);
+
+      const actions = document.createElement('div');
+      actions.className = 'test-card__actions';
+      [
+        ['run', 'Запустить', 'btn btn--primary'],
+        ['edit', 'Изменить', 'btn'],
+        ['up', '↑', 'btn', i === 0],
+        ['down', '↓', 'btn', i === items.length - 1]
+      ].forEach(([action, label, cls, disabled]) => {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.className = cls;
+        b.dataset.action = action;
+        b.textContent = label;
+        if (action === 'up') b.setAttribute('aria-label', 'Выше');
+        if (action === 'down') b.setAttribute('aria-label', 'Ниже');
+        b.disabled = !!disabled;
+        actions.appendChild(b);
+      });
+
+      card.append(h, d, actions);
+      host.appendChild(card);
+    });
+  }
+
+  /* ---------- Редактор ---------- */
+
+  function phaseRow(p = {}) {
+    const row = document.createElement('div');
+    row.className = 'practice-phase';
+    row.innerHTML = `
+      <input class="input" data-field="name" placeholder="Название" maxlength="40">
+      <input class="input practice-phase__sec" data-field="seconds" type="number" min="1" max="${MAX_PHASE_SECONDS}" step="1" aria-label="Секунды">
+      <select class="input" data-field="cue" aria-label="Сигнал">
+        ${CUES.map((c) => `<option value="${c.id}">${c.label}</option>`).join('')}
+      </select>
+      <input class="input practice-phase__hint" data-field="hint" placeholder="Подсказка" maxlength="120">
+      <button type="button" class="chip" data-action="remove-phase" aria-label="Удалить фазу">✕</button>`;
+    row.querySelector('[data-field="name"]').value = p.name || '';
+    row.querySelector('[data-field="seconds"]').value = p.seconds ?? 4;
+    row.querySelector('[data-field="cue"]').value = p.cue || 'hold';
+    row.querySelector('[data-field="hint"]').value = p.hint || '';
+    return row;
+  }
+
+  function setType(type) {
+    byId('practiceEdType').value = type;
+    byId('practiceEdTimer').hidden = type !== 'timer';
+    byId('practiceEdSteps').hidden = type !== 'steps';
+  }
+
+  function fill(p) {
+    byId('practiceEdTitleInput').value = p.title || '';
+    byId('practiceEdSubtitle').value = p.subtitle || '';
+    byId('practiceEdCycles').value = p.cycles ?? 4;
+    byId('practiceEdStepsInput').value = (p.steps || []).join('\n');
+    const phases = byId('practiceEdPhases');
+    phases.innerHTML = '';
+    (p.phases?.length ? p.phases : [{ name: 'Вдох', seconds: 4, cue: 'inhale' }]).forEach((ph) => phases.appendChild(phaseRow(ph)));
+    setType(p.type === 'steps' ? 'steps' : 'timer');
+    setError('');
+  }
+
+  function readForm() {
+    return {
+      id: editingId,
+      title: byId('practiceEdTitleInput').value,
+      subtitle: byId('practiceEdSubtitle').value,
+      type: byId('practiceEdType').value,
+      cycles: byId('practiceEdCycles').value,
+      phases: [...byId('practiceEdPhases').querySelectorAll('.practice-phase')].map((row) => ({
+        name: row.querySelector('[data-field="name"]').value,
+        seconds: row.querySelector('[data-field="seconds"]').value,
+        cue: row.querySelector('[data-field="cue"]').value,
+        hint: row.querySelector('[data-field="hint"]').value
+      })),
+      steps: byId('practiceEdStepsInput').value.split('\n')
+    };
+  }
+
+  function setError(text) {
+    const el = byId('practiceEdError');
+    if (el) el.textContent = text;
+  }
+
+  function openEditor(id = null) {
+    const existing = id ? list().find((p) => p.id === id) : null;
+    editingId = existing ? existing.id : null;
+    byId('practiceEdTitle').textContent = existing ? 'Изменить практику' : 'Новая практика';
+    byId('practiceEdDeleteBtn').hidden = !existing;
+    byId('practiceEdTemplates').hidden = !!existing;
+    fill(existing || TEMPLATES.box);
+    global.openModal?.(byId('practice-editor-modal'));
+  }
+
+  function bindUI() {
+    const modal = byId('practice-editor-modal');
+    if (!modal) return;
+
+    byId('customPracticesList')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      const card = e.target.closest('.custom-practice');
+      if (!btn || !card) return;
+      const id = card.dataset.id;
+      if (btn.dataset.action === 'run') global.PracticeEngine?.openById(id);
+      if (btn.dataset.action === 'edit') openEditor(id);
+      if (btn.dataset.action === 'up') move(id, -1);
+      if (btn.dataset.action === 'down') move(id, 1);
+    });
+    byId('customPracticeAddBtn')?.addEventListener('click', () => openEditor());
+
+    byId('practiceEdType').addEventListener('change', (e) => setType(e.target.value));
+    byId('practiceEdTemplates').addEventListener('click', (e) => {
+      const key = e.target.closest('[data-template]')?.dataset.template;
+      if (key && TEMPLATES[key]) fill(TEMPLATES[key]);
+    });
+    byId('practiceEdAddPhase').addEventListener('click', () => {
+      byId('practiceEdPhases').appendChild(phaseRow({ name: '', seconds: 4 }));
+    });
+    byId('practiceEdPhases').addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="remove-phase"]')) e.target.closest('.practice-phase')?.remove();
+    });
+
+    byId('practiceEdSaveBtn').addEventListener('click', () => {
+      const result = save(readForm());
+      if (result.error) { setError(result.error); return; }
+      global.closeModal?.(modal);
+    });
+    byId('practiceEdDeleteBtn').addEventListener('click', () => {
+      if (!editingId || !global.confirm('Удалить практику?')) return;
+      remove(editingId);
+      global.closeModal?.(modal);
+    });
+
+    renderCards();
+    global.App.store.subscribe(renderCards);
+  }
+
+  global.CustomPractices = { list, all, find, normalize, save, remove, move, openEditor, TEMPLATES };
+
+  global.onAppReady(bindUI);
+})(window);
@@ -0,0 +1,356 @@
+// scripts/journal.js
+// Дневник: записи свободным текстом по датам в App.store journal, с вопросом
+// для рефлексии и необязательной связью с записью настроения того же дня.
+// Дни с записями помечаются в календаре; из окна дня дневник открывается на этом дне.
+// В journal лежат и другие записи (type: 'thought' — scripts/thought-record.js),
+// здесь работаем только с type: 'note' (старые записи — без type).
+(function (global) {
+  const MAX_TEXT = 5000;
+
+  const PROMPTS = [
+    'Что сегодня получилось хорошо?',
+    'За что я благодарен сегодняшнему дню?',
+    'Что меня сегодня порадовало, даже немного?',
+    'Что было трудным и как я с этим справился?',
+    'Что я узнал о себе сегодня?',
+    'Чего мне сейчас не хватает?',
+    'Что я могу сделать завтра чуть лучше?',
+    'Кто или что поддержало меня сегодня?',
+    'Какая мысль крутилась в голове весь день?',
+    'Что я чувствую прямо сейчас и где это ощущается в теле?'
+  ];
+
+  const MONTHS_GENITIVE = [
+    'января', 'февраля', 'марта', 'апреля', 'мая', 'июня',
+    'июля', 'августа', 'сентября', 'октября', 'ноября', 'декабря'
+  ];
+
+  let filterDate = null; // 'YYYY-MM-DD' — показываем только этот день
+  let editingId = null;
+  let promptIndex = null;
+
+  function byId(id) { return document.getElementById(id); }
+
+  function todayKey() {
+    return typeof getTodayKey === 'function' ? getTodayKey() : new Date().toISOString().slice(0, 10);
+  }
+
+  function formatDate(key) {
+    const [y, m, d] = key.split('-').map(Number);
+    return `${d} ${MONTHS_GENITIVE[m - 1] || ''} ${y}`;
+  }
+
+  function signed(v) {
+    return v > 0 ? `+${v}` : (v < 0 ? `−${Math.abs(v)}` : '0');
+  }
+
+  /* ---------- Данные ---------- */
+
+  function isNote(e) {
+    return !e.type || e.type === 'note';
+  }
+
+  function readAll() {
+    return global.App.store.getState().journal.filter((e) => e && e.id && e.date);
+  }
+
+  function list() {
+    return readAll().filter(isNote);
+  }
+
+  // записи других типов сохраняем как есть
+  function write(notes) {
+    global.App.store.update('journal', readAll().filter((e) => !isNote(e)).concat(notes));
+  }
+
+  function entriesFor(dateKey) {
+    return list().filter((e) => e.date === dateKey);
+  }
+
+  function hasEntry(dateKey) {
+    return list().some((e) => e.date === dateKey);
+  }
+
+  /**
+   * Сохраняет запись. mood — { ts, score } записи настроения того же дня или null.
+   * Возвращает { entry } или { error }.
+   */
+  function save({ id = null, date, text, prompt = '', mood = null }) {
+    const clean = String(text || '').trim().slice(0, MAX_TEXT);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) return { error: 'Укажите дату.' };
+    if (date > todayKey()) return { error: 'Запись не может быть в будущем.' };
+    if (!clean) return { error: 'Напишите хоть пару слов.' };
+    const now = new Date().toISOString();
+    const items = list();
+    const idx = id ? items.findIndex((e) => e.id === id) : -1;
+    const entry = {
+      id: idx >= 0 ? id : global.makeId('jr'),
+      type: 'note',
+      date,
+      text: clean,
+      prompt: String(prompt || ''),
+      mood: mood && Number.isFinite(mood.ts) ? { ts: mood.ts, score: Number(mood.score) || 0 } : null,
+      createdAt: idx >= 0 ? items[idx].createdAt : now,
+      updatedAt: now
+    };
+    if (idx >= 0) items[idx] = entry;
+    else items.push(entry);
+    write(items);
+    return { entry };
+  }
+
+  function remove(id) {
+    write(list().filter((e) => e.id !== id));
+  }
+
+  // записи настроения дня — для привязки; берём сырые moodData, там есть timestamp
+  function moodEntriesFor(dateKey) {
+    const source = (typeof moodData !== 'undefined' && moodData) ? moodData : {};
+    return (Array.isArray(source[dateKey]) ? source[dateKey] : [])
+      .filter((e) => Number.isFinite(e.timestamp))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  function timeOf(entry) {
+    return `${String(entry.hour).padStart(2, '0')}:${String(entry.minute || 0).padStart(2, '0')}`;
+  }
+
+  /* ---------- Вопросы для рефлексии ---------- */
+
+  // вопрос дня меняется каждый день, «другой вопрос» — листает дальше
+  function dayPromptIndex(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    const dayOfYear = Math.round((Date.UTC(y, m - 1, d) - Date.UTC(y, 0, 0)) / 86400000);
+    return dayOfYear % PROMPTS.length;
+  }
+
+  function currentPrompt() {
+    return PROMPTS[promptIndex % PROMPTS.length];
+  }
+
+  function renderPrompt() {
+    const el = byId('journalPrompt');
+    if (el) el.textContent = currentPrompt();
+    const text = byId('journalText');
+    if (text) text.placeholder = currentPrompt();
+  }
+
+  /* ---------- Форма ---------- */
+
+  function renderMoodSelect(dateKey, selectedTs = null) {
+    const select = byId('journalMood');
+    if (!select) return;
+    const entries = moodEntriesFor(dateKey);
+    select.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = entries.length ? 'Без привязки' : 'В этот день нет записей настроения';
+    select.appendChild(none);
+    entries.forEach((e) => {
+      const opt = document.createElement('option');
+      opt.value = String(e.timestamp);
+      opt.textContent = `${timeOf(e)} · ${signed(Number(e.score) || 0)}${e.note ? ` · ${String(e.note).slice(0, 30)}` : ''}`;
+      select.appendChild(opt);
+    });
+    select.disabled = !entries.length;
+    select.value = selectedTs && entries.some((e) => e.timestamp === selectedTs) ? String(selectedTs) : '';
+  }
+
+  function resetForm(dateKey = filterDate || todayKey()) {
+    editingId = null;
+    byId('journalDate').value = dateKey;
+    byId('journalDate').max = todayKey();
+    byId('journalText').value = '';
+    byId('journalSaveBtn').textContent = 'Сохранить';
+    byId('journalCancelBtn').hidden = true;
+    promptIndex = dayPromptIndex(dateKey);
+    renderPrompt();
+    renderMoodSelect(dateKey);
+    setStatus('');
+  }
+
+  function editEntry(id) {
+    const entry = list().find((e) => e.id === id);
+    if (!entry) return;
+    editingId = id;
+    byId('journalDate').value = entry.date;
+    byId('journalText').value = entry.text;
+    byId('journalSaveBtn').textContent = 'Сохранить изменения';
+    byId('journalCancelBtn').hidden = false;
+    const idx = PROMPTS.indexOf(entry.prompt);
+    promptIndex = idx >= 0 ? idx : dayPromptIndex(entry.date);
+    renderPrompt();
+    renderMoodSelect(entry.date, entry.mood?.ts);
+    byId('journalText').focus();
+  }
+
+  function setStatus(text) {
+    const el = byId('journalStatus');
+    if (el) el.textContent = text;
+  }
+
+  function submit() {
+    const date = byId('journalDate').value;
+    const ts = Number(byId('journalMood').value);
+    const linked = ts ? moodEntriesFor(date).find((e) => e.timestamp === ts) : null;
+    const result = save({
+      id: editingId,
+      date,
+      text: byId('journalText').value,
+      prompt: currentPrompt(),
+      mood: linked ? { ts: linked.timestamp, score: linked.score } : null
+    });
+    if (result.error) { setStatus(result.error); return; }
+    resetForm(filterDate || date);
+    setStatus('Запись сохранена.');
+  }
+
+  /* ---------- Список ---------- */
+
+  function buildItem(entry) {
+    const li = document.createElement('li');
+    li.className = 'journal-entry';
+    li.dataset.id = entry.id;
+
+    const head = document.createElement('div');
+    head.className = 'journal-entry__head';
+    const date = document.createElement('span');
+    date.className = 'journal-entry__date';
+    date.textContent = formatDate(entry.date);
+    head.appendChild(date);
+
+    // счёт берём из текущей записи настроения — её могли поправить
+    if (entry.mood) {
+      const current = moodEntriesFor(entry.date).find((e) => e.timestamp === entry.mood.ts);
+      const score = Number(current ? current.score : entry.mood.score) || 0;
+      const badge = document.createElement('span');
+      badge.className = 'day-entry__score';
+      const color = global.Palette?.moodColor?.(score * 10) || '#D8B25A';
+      badge.style.background = color;
+      if (typeof pickTextOn === 'function') badge.style.color = pickTextOn(color);
+      badge.textContent = signed(score);
+      badge.title = current ? `Запись настроения в ${timeOf(current)}` : 'Запись настроения удалена';
+      head.appendChild(badge);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'day-entry__actions';
+    actions.innerHTML = `
+      <button type="button" class="chip" data-action="edit" aria-label="Изменить запись">✏️</button>
+      <button type="button" class="chip" data-action="delete" aria-label="Удалить запись">🗑</button>`;
+    head.appendChild(actions);
+    li.appendChild(head);
+
+    if (entry.prompt) {
+      const prompt = document.createElement('div');
+      prompt.className = 'journal-entry__prompt';
+      prompt.textContent = entry.prompt;
+      li.appendChild(prompt);
+    }
+    const text = document.createElement('div');
+    text.className = 'journal-entry__text';
+    text.textContent = entry.text;
+    li.appendChild(text);
+    return li;
+  }
+
+  function renderList() {
+    const host = byId('journalList');
+    if (!host) return;
+    const items = list()
+      .filter((e) => !filterDate || e.date === filterDate)
+      .sort((a, b) => b.date.localeCompare(a.date) || String(b.createdAt).localeCompare(String(a.createdAt)));
+    host.innerHTML = '';
+    items.forEach((e) => host.appendChild(buildItem(e)));
+    const empty = byId('journalEmpty');
+    if (empty) {
+      empty.hidden = items.length > 0;
+      empty.textContent = filterDate ? 'За этот день записей в дневнике нет.' : 'Записей пока нет.';
+    }
+    const bar = byId('journalFilter');
+    if (bar) bar.hidden = !filterDate;
+    const label = byId('journalFilterLabel');
+    if (label && filterDate) label.textContent = `Записи за ${formatDate(filterDate)}`;
+  }
+
+  /* ---------- Календарь и окно дня ---------- */
+
+  // сетку перерисовывают и app-core.js, и updateCalendar() — помечаем после любой перерисовки
+  function markCalendar() {
+    const grid = byId('daysGrid');
+    if (!grid) return;
+    const dates = new Set(list().map((e) => e.date));
+    grid.querySelectorAll('.day[data-date]').forEach((el) => {
+      el.classList.toggle('has-journal', dates.has(el.dataset.date));
+    });
+  }
+
+  function updateDayButton() {
+    const btn = byId('dayJournalBtn');
+    const key = global.getSelectedDateKey?.();
+    if (!btn || !key) return;
+    const n = entriesFor(key).length;
+    btn.textContent = n ? `📓 Дневник (${n})` : '📓 Дневник';
+  }
+
+  /** Открыть страницу дневника; dateKey — показать только этот день. */
+  function open(dateKey = null) {
+    filterDate = dateKey;
+    if (typeof global.switchPage === 'function') global.switchPage('journal');
+    else render();
+  }
+
+  function render() {
+    if (!byId('journalPage')) return;
+    if (!editingId) resetForm();
+    renderList();
+  }
+
+  function bindUI() {
+    if (!byId('journalPage')) return;
+
+    byId('journalPromptNext')?.addEventListener('click', () => {
+      promptIndex += 1;
+      renderPrompt();
+    });
+    byId('journalDate').addEventListener('change', (e) => renderMoodSelect(e.target.value));
+    byId('journalSaveBtn').addEventListener('click', submit);
+    byId('journalCancelBtn').addEventListener('click', () => resetForm());
+    byId('journalShowAll')?.addEventListener('click', () => {
+      filterDate = null;
+      render();
+    });
+    byId('journalList').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      const row = e.target.closest('.journal-entry');
+      if (!btn || !row) return;
+      if (btn.dataset.action === 'edit') editEntry(row.dataset.id);
+      if (btn.dataset.action === 'delete' && global.confirm('Удалить запись дневника?')) {
+        if (editingId === row.dataset.id) resetForm();
+        remove(row.dataset.id);
+      }
+    });
+
+    const dayModal = byId('day-modal');
+    dayModal?.addEventListener('modal:open', updateDayButton);
+    byId('dayJournalBtn')?.addEventListener('click', () => {
+      const key = global.getSelectedDateKey?.();
+      global.closeModal?.(dayModal);
+      open(key || null);
+    });
+
+    const grid = byId('daysGrid');
+    if (grid && 'MutationObserver' in global) {
+      new MutationObserver(markCalendar).observe(grid, { childList: true });
+    }
+    markCalendar();
+    global.App.store.subscribe(() => {
+      markCalendar();
+      renderList();
+    });
+  }
+
+  global.Journal = { list, entriesFor, hasEntry, save, remove, open, render, PROMPTS };
+
+  global.onAppReady(bindUI);
+})(window);
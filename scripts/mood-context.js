@@ -0,0 +1,207 @@
+// scripts/mood-context.js
+// Сводка настроения для ИИ-чата на тех же агрегатах, что и статистика
+// (aggregateRange). Что уходит с устройства — решает пользователь в настройках
+// (App.store settings.aiContext), там же предпросмотр точного текста.
+(function (global) {
+  const DAYS = 14;
+  const PATTERN_DAYS = 30;
+  const MAX_NOTES = 8;
+  const NOTE_LENGTH = 160;
+  const MAX_CHARS = 3500; // сервер режет сообщения длиннее 4000 символов
+
+  const SECTIONS = [
+    { id: 'daily', label: 'Итоги по дням за 2 недели' },
+    { id: 'trend', label: 'Направление тренда' },
+    { id: 'timeOfDay', label: 'Настроение по времени суток' },
+    { id: 'screenings', label: 'Результаты тестов' },
+    { id: 'notes', label: 'Заметки к записям' }
+  ];
+
+  const DAY_PARTS = [
+    { id: 'morning', label: 'утро', from: 5, to: 11 },
+    { id: 'day', label: 'день', from: 12, to: 17 },
+    { id: 'evening', label: 'вечер', from: 18, to: 22 },
+    { id: 'night', label: 'ночь', from: 23, to: 4 }
+  ];
+
+  function signed(n) {
+    const v = Math.round(n * 10) / 10;
+    return v > 0 ? `+${v}` : String(v);
+  }
+
+  function dateKey(d) {
+    return typeof getDateKey === 'function' ? getDateKey(d) : d.toISOString().slice(0, 10);
+  }
+
+  function lastDays(n) {
+    const to = new Date();
+    const from = new Date(to.getFullYear(), to.getMonth(), to.getDate() - (n - 1));
+    return getDateKeysForRange({ from: dateKey(from), to: dateKey(to) });
+  }
+
+  /** Какие разделы разрешены; значения по умолчанию — в initialState (app-core.js). */
+  function getPrivacy() {
+    const saved = global.App.store.getState().settings.aiContext;
+    const out = {};
+    SECTIONS.forEach((s) => { out[s.id] = saved[s.id] === true; });
+    return out;
+  }
+
+  function setPrivacy(id, on) {
+    global.App.store.update(`settings.aiContext.${id}`, !!on);
+  }
+
+  /* ---------- Разделы ---------- */
+
+  function dailySection(index) {
+    const keys = lastDays(DAYS);
+    const s = aggregateRange(keys, index);
+    if (!s.totalEntries) return `За ${DAYS} дней записей нет.`;
+    const lines = keys
+      .filter((k) => Array.isArray(index[k]) && index[k].length)
+      .map((k) => {
+        const d = aggregateRange([k], index);
+        return `${k}: итог ${signed(d.balanceSum)}, записей ${d.totalEntries}`;
+      });
+    return [
+      `За ${DAYS} дней (шкала записи от −5 до +5, итог дня — сумма): активных дней ${s.activeDays}, ` +
+        `записей ${s.totalEntries}, позитивных ${s.positiveShare}%, негативных ${s.negativeShare}%, баланс ${signed(s.balanceSum)}.`,
+      ...lines
+    ].join('\n');
+  }
+
+  // средний итог активного дня: последние 7 дней против 7 до них
+  function trendSection(index) {
+    const keys = lastDays(DAYS);
+    const half = (part) => {
+      const s = aggregateRange(part, index);
+      return s.activeDays ? s.balanceSum / s.activeDays : null;
+    };
+    const todayKey = dateKey(new Date());
+    const cut = dateKey(new Date(Date.now() - 6 * 24 * 3600 * 1000));
+    const recent = half(keys.filter((k) => k >= cut && k <= todayKey));
+    const before = half(keys.filter((k) => k < cut));
+    if (recent === null || before === null) return 'Тренд: данных пока мало.';
+    const diff = recent - before;
+    const dir = diff > 1 ? 'улучшается' : diff < -1 ? 'ухудшается' : 'примерно стабильно';
+    return `Тренд: ${dir} (средний итог дня ${signed(recent)} за последние 7 дней против ${signed(before)} за 7 дней до них).`;
+  }
+
+  function partOf(hour) {
+    return DAY_PARTS.find((p) => (p.from <= p.to ? hour >= p.from && hour <= p.to : hour >= p.from || hour <= p.to));
+  }
+
+  function timeOfDaySection(index) {
+    const sums = {};
+    lastDays(PATTERN_DAYS).forEach((k) => {
+      (Array.isArray(index[k]) ? index[k] : []).forEach((e) => {
+        const part = partOf(Number(e.hour) || 0);
+        if (!part) return;
+        sums[part.id] = sums[part.id] || { sum: 0, n: 0 };
+        sums[part.id].sum += Number(e.score) || 0;
+        sums[part.id].n += 1;
+      });
+    });
+    const rows = DAY_PARTS.filter((p) => sums[p.id]).map((p) => ({ ...p, avg: sums[p.id].sum / sums[p.id].n, n: sums[p.id].n }));
+    if (!rows.length) return '';
+    const text = rows.map((r) => `${r.label} ${signed(r.avg)} (${r.n})`).join(', ');
+    return `Средняя оценка по времени суток за ${PATTERN_DAYS} дней (в скобках — число записей): ${text}.`;
+  }
+
+  // testsResults: { [testId]: [{ at, score, maxScore, level }] } — берём последний результат
+  function screeningsSection() {
+    const results = global.App.store.getState().testsResults;
+    const tests = Array.isArray(global.TESTS) ? global.TESTS : [];
+    const lines = Object.keys(results).map((id) => {
+      const list = Array.isArray(results[id]) ? results[id] : [];
+      const last = list[list.length - 1];
+      if (!last) return null;
+      const name = tests.find((t) => t.id === id)?.title || id.toUpperCase();
+      const when = last.at ? String(last.at).slice(0, 10) : '';
+      const max = Number.isFinite(last.maxScore) ? `/${last.maxScore}` : '';
+      return `${name}: ${last.score}${max}${last.level ? ` (${last.level})` : ''}${when ? `, ${when}` : ''}`;
+    }).filter(Boolean);
+    return lines.length ? `Последние результаты тестов: ${lines.join('; ')}.` : '';
+  }
+
+  function notesSection(index) {
+    const notes = [];
+    lastDays(DAYS).reverse().forEach((k) => {
+      (Array.isArray(index[k]) ? index[k] : []).slice().reverse().forEach((e) => {
+        if (!e.note || notes.length >= MAX_NOTES) return;
+        const note = String(e.note).replace(/\s+/g, ' ').trim();
+        notes.push(`${k} (${signed(Number(e.score) || 0)}): ${note.length > NOTE_LENGTH ? `${note.slice(0, NOTE_LENGTH - 1)}…` : note}`);
+      });
+    });
+    return notes.length ? ['Заметки пользователя к последним записям:', ...notes].join('\n') : '';
+  }
+
+  const BUILDERS = {
+    daily: dailySection,
+    trend: trendSection,
+    timeOfDay: timeOfDaySection,
+    screenings: screeningsSection,
+    notes: notesSection
+  };
+
+  /**
+   * Текст сводки для системного сообщения; '' — если всё выключено.
+   * privacy — переопределение настроек (для предпросмотра), по умолчанию сохранённые.
+   */
+  function build(privacy = getPrivacy()) {
+    if (typeof aggregateRange !== 'function' || typeof getStatsIndex !== 'function') return '';
+    const index = getStatsIndex();
+    const parts = SECTIONS
+      .filter((s) => privacy[s.id])
+      .map((s) => {
+        try { return BUILDERS[s.id](index); } catch (err) {
+          console.warn('[mood-context] section failed', s.id, err);
+          return '';
+        }
+      })
+      .filter(Boolean);
+    if (!parts.length) return '';
+    const text = `Контекст из дневника настроения (пользователь разрешил передать):\n${parts.join('\n\n')}`;
+    return text.length > MAX_CHARS ? `${text.slice(0, MAX_CHARS - 1)}…` : text;
+  }
+
+  /* ---------- UI в настройках ---------- */
+
+  function renderPrivacyUI() {
+    const host = document.getElementById('aiContextOptions');
+    const preview = document.getElementById('aiContextPreview');
+    if (!host) return;
+    const privacy = getPrivacy();
+    if (!host.children.length) {
+      SECTIONS.forEach((s) => {
+        const label = document.createElement('label');
+        label.className = 'reminders-option';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.dataset.section = s.id;
+        label.append(input, ` ${s.label}`);
+        host.appendChild(label);
+      });
+    }
+    host.querySelectorAll('input[data-section]').forEach((input) => {
+      input.checked = privacy[input.dataset.section];
+    });
+    if (preview) preview.textContent = build(privacy) || 'Ничего не отправляется: ИИ видит только ваши сообщения.';
+  }
+
+  function bindPrivacyUI() {
+    const host = document.getElementById('aiContextOptions');
+    if (!host) return;
+    host.addEventListener('change', (e) => {
+      const id = e.target.dataset.section;
+      if (!id) return;
+      setPrivacy(id, e.target.checked);
+      renderPrivacyUI();
+    });
+    document.getElementById('settings-modal')?.addEventListener('modal:open', renderPrivacyUI);
+  }
+
+  global.MoodContext = { build, getPrivacy, setPrivacy, SECTIONS };
+
+  global.onAppReady(bindPrivacyUI);
+})(window);
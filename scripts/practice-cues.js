@@ -0,0 +1,176 @@
+// scripts/practice-cues.js
+// Звуковые и тактильные сигналы для таймерных практик: тоны фаз генерируются
+// Web Audio (без аудиофайлов), вибрация — navigator.vibrate, голос — speechSynthesis.
+// Включается в App.store profile.soundOn / profile.vibrationOn / profile.voiceOn.
+(function (global) {
+  const TICK_SECONDS = 3;
+  const VOLUME = 0.18;
+
+  // вдох — тон вверх, задержка — ровный, выдох — вниз
+  const TONES = {
+    inhale: { from: 392, to: 587, duration: 0.45 },
+    hold: { from: 523, to: 523, duration: 0.3 },
+    exhale: { from: 587, to: 349, duration: 0.6 }
+  };
+
+  const VIBRATION = {
+    inhale: [80],
+    hold: [40, 60, 40],
+    exhale: [200],
+    tick: [15],
+    done: [100, 80, 100, 80, 200]
+  };
+
+  const PREFS = [
+    { id: 'soundOn', label: '🔔 Звук' },
+    { id: 'vibrationOn', label: '📳 Вибрация' },
+    { id: 'voiceOn', label: '🗣 Голос' }
+  ];
+
+  let ctx = null;
+
+  function getPrefs() {
+    const profile = global.App.store.getState().profile;
+    const out = {};
+    PREFS.forEach((p) => { out[p.id] = profile[p.id]; });
+    return out;
+  }
+
+  function setPref(id, on) {
+    global.App.store.update(`profile.${id}`, !!on);
+  }
+
+  function canVibrate() { return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function'; }
+  function canSpeak() { return 'speechSynthesis' in global && 'SpeechSynthesisUtterance' in global; }
+
+  /* ---------- Звук ---------- */
+
+  // AudioContext можно запустить только из жеста пользователя — зовём на «Запустить»
+  function unlock() {
+    const Ctx = global.AudioContext || global.webkitAudioContext;
+    if (!Ctx) return;
+    try {
+      ctx = ctx || new Ctx();
+      if (ctx.state === 'suspended') ctx.resume().catch(() => {});
+    } catch (err) {
+      console.warn('[practice-cues] audio unavailable', err);
+      ctx = null;
+    }
+  }
+
+  function tone({ from, to, duration }, { volume = VOLUME, delay = 0, type = 'sine' } = {}) {
+    if (!ctx) return;
+    const t0 = ctx.currentTime + delay;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(from, t0);
+    if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, t0 + duration);
+    // мягкая атака и затухание, чтобы не щёлкало
+    gain.gain.setValueAtTime(0.0001, t0);
+    gain.gain.exponentialRampToValueAtTime(volume, t0 + 0.03);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t0 + duration);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(t0);
+    osc.stop(t0 + duration + 0.05);
+  }
+
+  function vibrate(pattern) {
+    if (!canVibrate()) return;
+    try { navigator.vibrate(pattern); } catch (_) { /* некоторые браузеры бросают без жеста */ }
+  }
+
+  function speak(text) {
+    if (!text || !canSpeak()) return;
+    const synth = global.speechSynthesis;
+    synth.cancel();
+    const u = new global.SpeechSynthesisUtterance(text);
+    u.lang = 'ru-RU';
+    u.rate = 0.9;
+    synth.speak(u);
+  }
+
+  /* ---------- Сигналы для PracticeEngine ---------- */
+
+  // тип фазы: явный phase.cue, иначе по названию
+  function cueOf(phase) {
+    if (phase?.cue && TONES[phase.cue]) return phase.cue;
+    const name = String(phase?.name || '').toLowerCase();
+    if (name.startsWith('вдох')) return 'inhale';
+    if (name.startsWith('выдох')) return 'exhale';
+    return 'hold';
+  }
+
+  /** Начало фазы таймера. */
+  function phase(p) {
+    const prefs = getPrefs();
+    const cue = cueOf(p);
+    if (prefs.soundOn) tone(TONES[cue]);
+    if (prefs.vibrationOn) vibrate(VIBRATION[cue]);
+    if (prefs.voiceOn) speak(p?.hint || p?.name);
+  }
+
+  /** Каждая секунда таймера; тикаем только в последние секунды фазы. */
+  function tick(left) {
+    if (!(left > 0 && left <= TICK_SECONDS)) return;
+    const prefs = getPrefs();
+    if (prefs.soundOn) tone({ from: 1200, to: 1200, duration: 0.05 }, { volume: 0.05, type: 'triangle' });
+    if (prefs.vibrationOn) vibrate(VIBRATION.tick);
+  }
+
+  function done() {
+    const prefs = getPrefs();
+    if (prefs.soundOn) {
+      tone({ from: 523, to: 523, duration: 0.35 });
+      tone({ from: 784, to: 784, duration: 0.6 }, { delay: 0.2 });
+    }
+    if (prefs.vibrationOn) vibrate(VIBRATION.done);
+    if (prefs.voiceOn) speak('Готово');
+  }
+
+  // пауза/закрытие: обрываем речь и вибрацию
+  function stop() {
+    if (canSpeak()) global.speechSynthesis.cancel();
+    if (canVibrate()) vibrate(0);
+  }
+
+  /* ---------- UI в окне практики ---------- */
+
+  function renderToggles() {
+    const host = document.getElementById('therapyCues');
+    if (!host) return;
+    const prefs = getPrefs();
+    if (!host.children.length) {
+      PREFS.forEach((p) => {
+        const label = document.createElement('label');
+        label.className = 'reminders-option';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.dataset.pref = p.id;
+        label.append(input, ` ${p.label}`);
+        // нет API на устройстве — переключатель не показываем
+        label.hidden = (p.id === 'vibrationOn' && !canVibrate()) || (p.id === 'voiceOn' && !canSpeak());
+        host.appendChild(label);
+      });
+    }
+    host.querySelectorAll('input[data-pref]').forEach((input) => {
+      input.checked = prefs[input.dataset.pref];
+    });
+  }
+
+  function bindToggles() {
+    const host = document.getElementById('therapyCues');
+    if (!host) return;
+    host.addEventListener('change', (e) => {
+      const id = e.target.dataset.pref;
+      if (!id) return;
+      setPref(id, e.target.checked);
+      if (id === 'voiceOn' && !e.target.checked && canSpeak()) global.speechSynthesis.cancel();
+    });
+    document.getElementById('therapy-modal')?.addEventListener('modal:open', renderToggles);
+  }
+
+  global.PracticeCues = { unlock, phase, tick, done, stop, getPrefs, setPref };
+
+  global.onAppReady(bindToggles);
+})(window);
@@ -0,0 +1,182 @@
+// scripts/practice-log.js
+// Журнал практик: каждая сессия из PracticeEngine с оценкой самочувствия
+// до и после (−5..+5, необязательно) попадает в App.store profile.helps.
+// «Что мне помогает» — практики по среднему улучшению.
+(function (global) {
+  const MAX_SESSIONS = 500;
+  const SCALE = [-5, -4, -3, -2, -1, 0, 1, 2, 3, 4, 5];
+
+  let session = null; // текущая сессия до сохранения
+  let onRate = null;
+
+  function byId(id) { return document.getElementById(id); }
+
+  function signed(n) {
+    const v = Math.round(n * 10) / 10;
+    return v > 0 ? `+${v}` : String(v);
+  }
+
+  function readAll() {
+    return global.App.store.getState().profile.helps;
+  }
+
+  function sessions() {
+    return readAll().filter((h) => h && h.kind === 'practice');
+  }
+
+  function save(record) {
+    global.App.store.update('profile.helps', readAll().concat(record).slice(-MAX_SESSIONS));
+  }
+
+  /* ---------- Сессия (зовёт PracticeEngine) ---------- */
+
+  /** Окно практики открыто: предлагаем оценить состояние «до». */
+  function open(cfg) {
+    session = { practiceId: cfg.id, title: cfg.title, before: null, after: null, startedAt: null, endedAt: null, completed: false };
+    ask('Как вы себя чувствуете сейчас?', (v) => { if (session) session.before = v; });
+  }
+
+  /** Нажали «Запустить»: оценку «до» больше не ждём. */
+  function started() {
+    if (!session) return;
+    if (!session.startedAt) session.startedAt = Date.now();
+    hideRate();
+  }
+
+  /** Практика дошла до «Готово!»: спрашиваем «после» и сохраняем. */
+  function completed() {
+    if (!session || session.completed) return;
+    session.completed = true;
+    session.endedAt = Date.now();
+    ask('А теперь как вы себя чувствуете?', (v) => {
+      if (!session) return;
+      session.after = v;
+      commit();
+    });
+  }
+
+  /** Окно закрыто: сохраняем начатую сессию, даже прерванную. */
+  function close() {
+    hideRate();
+    if (session?.startedAt) commit();
+    session = null;
+  }
+
+  function commit() {
+    const s = session;
+    session = null;
+    hideRate();
+    if (!s?.startedAt) return;
+    const endedAt = s.endedAt || Date.now();
+    const rated = Number.isFinite(s.before) && Number.isFinite(s.after);
+    save({
+      kind: 'practice',
+      id: global.makeId('ps'),
+      practiceId: s.practiceId,
+      title: s.title,
+      startedAt: new Date(s.startedAt).toISOString(),
+      durationSec: Math.max(0, Math.round((endedAt - s.startedAt) / 1000)),
+      completed: s.completed,
+      before: s.before,
+      after: s.after,
+      delta: rated ? s.after - s.before : null
+    });
+  }
+
+  /* ---------- Оценка −5..+5 в окне практики ---------- */
+
+  function ask(label, cb) {
+    const box = byId('therapyRate');
+    if (!box) return;
+    onRate = cb;
+    const text = byId('therapyRateLabel');
+    if (text) text.textContent = label;
+    const scale = byId('therapyRateScale');
+    if (scale && !scale.children.length) {
+      SCALE.forEach((v) => {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.className = 'chip therapy-rate__value';
+        b.dataset.rate = String(v);
+        b.textContent = v > 0 ? `+${v}` : String(v);
+        scale.appendChild(b);
+      });
+    }
+    box.hidden = false;
+  }
+
+  function hideRate() {
+    onRate = null;
+    const box = byId('therapyRate');
+    if (box) box.hidden = true;
+  }
+
+  function answer(value) {
+    const cb = onRate;
+    hideRate();
+    if (cb) cb(value);
+  }
+
+  /* ---------- «Что мне помогает» ---------- */
+
+  /** [{ practiceId, title, sessions, rated, completed, avgDelta }] по убыванию avgDelta. */
+  function ranking() {
+    const groups = {};
+    sessions().forEach((s) => {
+      const g = groups[s.practiceId] = groups[s.practiceId] || { practiceId: s.practiceId, title: s.title, sessions: 0, completed: 0, rated: 0, deltaSum: 0 };
+      g.sessions += 1;
+      if (s.completed) g.completed += 1;
+      if (Number.isFinite(s.delta)) { g.rated += 1; g.deltaSum += s.delta; }
+    });
+    const practices = global.CustomPractices?.all() || (Array.isArray(global.PRACTICES) ? global.PRACTICES : []);
+    return Object.values(groups)
+      .map((g) => ({
+        practiceId: g.practiceId,
+        title: practices.find((p) => p.id === g.practiceId)?.title || g.title || g.practiceId,
+        sessions: g.sessions,
+        completed: g.completed,
+        rated: g.rated,
+        avgDelta: g.rated ? g.deltaSum / g.rated : null
+      }))
+      // без оценок — в конец списка
+      .sort((a, b) => (b.avgDelta ?? -Infinity) - (a.avgDelta ?? -Infinity) || b.sessions - a.sessions);
+  }
+
+  function renderHelps() {
+    const host = byId('helpsList');
+    if (!host) return;
+    const rows = ranking();
+    host.innerHTML = '';
+    byId('helpsEmpty')?.toggleAttribute('hidden', rows.length > 0);
+    rows.forEach((r) => {
+      const li = document.createElement('li');
+      li.className = 'helps__item';
+      const title = document.createElement('span');
+      title.className = 'helps__title';
+      title.textContent = r.title;
+      const delta = document.createElement('span');
+      delta.className = 'helps__delta' + (r.avgDelta > 0 ? ' is-up' : r.avgDelta < 0 ? ' is-down' : '');
+      delta.textContent = r.avgDelta === null ? '—' : signed(r.avgDelta);
+      delta.title = 'Среднее изменение самочувствия после практики';
+      const meta = document.createElement('span');
+      meta.className = 'helps__meta';
+      meta.textContent = `сессий: ${r.sessions}, до конца: ${r.completed}, с оценкой: ${r.rated}`;
+      li.append(title, delta, meta);
+      host.appendChild(li);
+    });
+  }
+
+  function bindUI() {
+    byId('therapyRateScale')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-rate]');
+      if (btn) answer(Number(btn.dataset.rate));
+    });
+    byId('therapyRateSkip')?.addEventListener('click', () => answer(null));
+    renderHelps();
+    global.App.store.subscribe(renderHelps);
+  }
+
+  global.PracticeLog = { open, started, completed, close, sessions, ranking };
+
+  global.onAppReady(bindUI);
+})(window);
@@ -0,0 +1,336 @@
+// scripts/reminders.js
+// Напоминания записать настроение: расписания из App.store settings.reminders,
+// тихие часы и пропуск, если запись уже была недавно. Показ — через сервис-воркер,
+// если он есть (тогда клик по уведомлению открывает приложение).
+(function (global) {
+  const WEEKDAYS = [
+    { day: 1, label: 'Пн' }, { day: 2, label: 'Вт' }, { day: 3, label: 'Ср' },
+    { day: 4, label: 'Чт' }, { day: 5, label: 'Пт' }, { day: 6, label: 'Сб' },
+    { day: 0, label: 'Вс' }
+  ];
+  const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+  // прежнее захардкоженное расписание 9/15/21 — стартовый набор
+  const DEFAULT_REMINDERS = [
+    { time: '09:00', message: 'Утро: время записать настроение! 😊' },
+    { time: '15:00', message: 'День: время записать настроение! 😊' },
+    { time: '21:00', message: 'Вечер: время записать настроение! 😊' }
+  ];
+
+  let timer = null;
+  const fired = new Set(); // `${id}@${YYYY-MM-DD HH:MM}` — чтобы не сработать дважды
+
+  function pad2(n) { return String(n).padStart(2, '0'); }
+
+  function makeReminder(patch = {}) {
+    return { id: global.makeId('rem'), time: '12:00', days: ALL_DAYS.slice(), message: 'Как вы себя чувствуете сейчас?', enabled: true, ...patch };
+  }
+
+  function getSettings() {
+    const s = global.App.store.getState().settings;
+    return {
+      reminders: s.reminders,
+      configured: s.remindersConfigured,
+      quietHours: s.quietHours,
+      skipIfLoggedMin: s.skipIfLoggedMin
+    };
+  }
+
+  function saveReminders(list) {
+    global.App.store.update('settings.remindersConfigured', true, { silent: true });
+    global.App.store.update('settings.reminders', list);
+  }
+
+  function ensureDefaults() {
+    const { reminders, configured } = getSettings();
+    if (configured || reminders.length) return;
+    saveReminders(DEFAULT_REMINDERS.map((r) => makeReminder(r)));
+  }
+
+  /* ---------- Расписание ---------- */
+
+  function toMinutes(hhmm) {
+    const [h, m] = String(hhmm || '').split(':').map(Number);
+    return Number.isFinite(h) && Number.isFinite(m) ? h * 60 + m : null;
+  }
+
+  // тихие часы могут переходить через полночь (22:00 → 08:00)
+  function isQuiet(date, quiet) {
+    if (!quiet.enabled) return false;
+    const from = toMinutes(quiet.from);
+    const to = toMinutes(quiet.to);
+    if (from === null || to === null || from === to) return false;
+    const now = date.getHours() * 60 + date.getMinutes();
+    return from < to ? now >= from && now < to : now >= from || now < to;
+  }
+
+  // ближайшее срабатывание напоминания строго после `after`
+  function nextOccurrence(reminder, after) {
+    const mins = toMinutes(reminder.time);
+    const days = Array.isArray(reminder.days) ? reminder.days : ALL_DAYS;
+    if (mins === null || !days.length) return null;
+    for (let i = 0; i < 8; i++) {
+      const d = new Date(after.getFullYear(), after.getMonth(), after.getDate() + i, Math.floor(mins / 60), mins % 60);
+      if (d > after && days.includes(d.getDay())) return d;
+    }
+    return null;
+  }
+
+  function loggedWithin(minutes) {
+    if (!minutes || typeof moodData === 'undefined') return false;
+    const since = Date.now() - minutes * 60 * 1000;
+    return Object.values(moodData).some((entries) =>
+      Array.isArray(entries) && entries.some((e) => Number(e.timestamp) >= since));
+  }
+
+  function canNotify() {
+    return 'Notification' in global && Notification.permission === 'granted';
+  }
+
+  async function notify(title, body) {
+    const options = { body, tag: 'mood-reminder', data: { action: 'log-mood' } };
+    const reg = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (reg) {
+      await reg.showNotification(title, options);
+      return;
+    }
+    const n = new Notification(title, options);
+    n.onclick = () => {
+      global.focus();
+      if (typeof openMoodSlider === 'function') openMoodSlider();
+      n.close();
+    };
+  }
+
+  function fire(reminder, at) {
+    const key = `${reminder.id}@${at.toDateString()} ${reminder.time}`;
+    if (fired.has(key)) return;
+    fired.add(key);
+
+    const { quietHours, skipIfLoggedMin } = getSettings();
+    if (!canNotify() || isQuiet(at, quietHours) || loggedWithin(skipIfLoggedMin)) return;
+    notify('Календарь Настроения', reminder.message || 'Время записать настроение! 😊')
+      .catch((err) => console.warn('[reminders] notify failed', err));
+  }
+
+  // таймер до ближайшего напоминания, а не опрос раз в минуту
+  function arm() {
+    clearTimeout(timer);
+    timer = null;
+    if (!canNotify()) return;
+
+    const now = new Date();
+    let next = null;
+    let due = [];
+    getSettings().reminders.filter((r) => r.enabled !== false).forEach((r) => {
+      const at = nextOccurrence(r, now);
+      if (!at) return;
+      if (!next || at < next) { next = at; due = [r]; }
+      else if (at.getTime() === next.getTime()) due.push(r);
+    });
+    if (!next) return;
+
+    // setTimeout не любит большие задержки, а вкладка может спать — перепроверяем хотя бы раз в час
+    const delay = Math.min(next - now, 60 * 60 * 1000);
+    timer = setTimeout(() => {
+      if (Date.now() >= next.getTime()) due.forEach((r) => fire(r, next));
+      arm();
+    }, Math.max(delay, 0));
+  }
+
+  function start() {
+    ensureDefaults();
+    arm();
+  }
+
+  /* ---------- UI в настройках ---------- */
+
+  function byId(id) { return document.getElementById(id); }
+
+  function renderPermission() {
+    const el = byId('remindersPermission');
+    const btn = byId('remindersPermissionBtn');
+    if (!el || !btn) return;
+    if (!('Notification' in global)) {
+      el.textContent = 'Этот браузер не умеет показывать уведомления.';
+      btn.hidden = true;
+      return;
+    }
+    const p = Notification.permission;
+    el.textContent = p === 'granted'
+      ? 'Уведомления включены. Они приходят, пока приложение открыто или свернуто.'
+      : p === 'denied'
+        ? 'Уведомления запрещены в настройках браузера.'
+        : 'Уведомления пока не разрешены.';
+    btn.hidden = p !== 'default';
+  }
+
+  function reminderRow(r) {
+    const li = document.createElement('li');
+    li.className = 'reminder';
+    li.dataset.id = r.id;
+
+    const top = document.createElement('div');
+    top.className = 'reminder__top';
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = r.enabled !== false;
+    enabled.dataset.field = 'enabled';
+    enabled.setAttribute('aria-label', 'Включено');
+
+    const time = document.createElement('input');
+    time.type = 'time';
+    time.className = 'input mood-when__input';
+    time.value = r.time;
+    time.dataset.field = 'time';
+
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'chip';
+    del.dataset.action = 'delete';
+    del.textContent = 'Удалить';
+
+    top.append(enabled, time, del);
+
+    const days = document.createElement('div');
+    days.className = 'reminder__days';
+    const active = Array.isArray(r.days) ? r.days : ALL_DAYS;
+    WEEKDAYS.forEach(({ day, label }) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'chip reminder__day';
+      b.dataset.day = String(day);
+      b.textContent = label;
+      b.setAttribute('aria-pressed', active.includes(day) ? 'true' : 'false');
+      days.appendChild(b);
+    });
+
+    const msg = document.createElement('input');
+    msg.type = 'text';
+    msg.className = 'input';
+    msg.maxLength = 120;
+    msg.placeholder = 'Текст напоминания';
+    msg.value = r.message || '';
+    msg.dataset.field = 'message';
+
+    li.append(top, days, msg);
+    return li;
+  }
+
+  function renderReminders() {
+    const list = byId('remindersList');
+    if (!list) return;
+    const { reminders, quietHours, skipIfLoggedMin } = getSettings();
+    list.innerHTML = '';
+    reminders.forEach((r) => list.appendChild(reminderRow(r)));
+    byId('remindersEmpty')?.toggleAttribute('hidden', reminders.length > 0);
+
+    const quietOn = byId('quietEnabled');
+    if (quietOn) quietOn.checked = quietHours.enabled;
+    if (byId('quietFrom')) byId('quietFrom').value = quietHours.from;
+    if (byId('quietTo')) byId('quietTo').value = quietHours.to;
+    if (byId('remindersSkipMin')) byId('remindersSkipMin').value = String(skipIfLoggedMin);
+    renderPermission();
+  }
+
+  function patchReminder(id, patch) {
+    saveReminders(getSettings().reminders.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  }
+
+  function bindRemindersUI() {
+    const list = byId('remindersList');
+    if (!list) return;
+
+    byId('remindersAddBtn')?.addEventListener('click', () => {
+      saveReminders(getSettings().reminders.concat(makeReminder()));
+      renderReminders();
+      list.lastElementChild?.querySelector('input[type="time"]')?.focus();
+    });
+
+    list.addEventListener('click', (e) => {
+      const row = e.target.closest('.reminder');
+      if (!row) return;
+      const id = row.dataset.id;
+      if (e.target.closest('[data-action="delete"]')) {
+        saveReminders(getSettings().reminders.filter((r) => r.id !== id));
+        renderReminders();
+        return;
+      }
+      const dayBtn = e.target.closest('[data-day]');
+      if (dayBtn) {
+        const day = Number(dayBtn.dataset.day);
+        const current = getSettings().reminders.find((r) => r.id === id);
+        const days = new Set(Array.isArray(current?.days) ? current.days : ALL_DAYS);
+        if (days.has(day)) days.delete(day); else days.add(day);
+        patchReminder(id, { days: ALL_DAYS.filter((d) => days.has(d)) });
+        dayBtn.setAttribute('aria-pressed', days.has(day) ? 'true' : 'false');
+      }
+    });
+
+    list.addEventListener('change', (e) => {
+      const row = e.target.closest('.reminder');
+      const field = e.target.dataset.field;
+      if (!row || !field) return;
+      if (field === 'enabled') patchReminder(row.dataset.id, { enabled: e.target.checked });
+      if (field === 'time' && e.target.value) patchReminder(row.dataset.id, { time: e.target.value });
+      if (field === 'message') patchReminder(row.dataset.id, { message: e.target.value.trim() });
+    });
+
+    const saveQuiet = () => {
+      global.App.store.update('settings.quietHours', {
+        enabled: !!byId('quietEnabled')?.checked,
+        from: byId('quietFrom')?.value || getSettings().quietHours.from,
+        to: byId('quietTo')?.value || getSettings().quietHours.to
+      });
+    };
+    ['quietEnabled', 'quietFrom', 'quietTo'].forEach((id) => byId(id)?.addEventListener('change', saveQuiet));
+
+    byId('remindersSkipMin')?.addEventListener('change', (e) => {
+      const v = Math.max(0, Math.min(24 * 60, Math.round(Number(e.target.value) || 0)));
+      e.target.value = String(v);
+      global.App.store.update('settings.skipIfLoggedMin', v);
+    });
+
+    byId('remindersPermissionBtn')?.addEventListener('click', async () => {
+      if (typeof requestNotificationPermission === 'function') await requestNotificationPermission();
+      else if ('Notification' in global) await Notification.requestPermission();
+      renderPermission();
+      arm();
+    });
+
+    byId('settings-modal')?.addEventListener('modal:open', renderReminders);
+    global.App.store.subscribe(() => arm());
+    renderReminders();
+  }
+
+  // клик по уведомлению из сервис-воркера: открыть запись настроения
+  function handleLogRequest() {
+    if (typeof openMoodSlider === 'function') openMoodSlider();
+  }
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data?.type === 'log-mood') handleLogRequest();
+    });
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') arm();
+  });
+
+  function init() {
+    bindRemindersUI();
+    const params = new URLSearchParams(global.location.search);
+    if (params.get('action') === 'log-mood') {
+      params.delete('action');
+      const qs = params.toString();
+      global.history.replaceState(null, '', global.location.pathname + (qs ? `?${qs}` : '') + global.location.hash);
+      setTimeout(handleLogRequest, 0);
+    }
+  }
+
+  global.Reminders = { start, arm, isQuiet, nextOccurrence, WEEKDAYS };
+
+  global.onAppReady(init);
+})(window);
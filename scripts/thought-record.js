@@ -0,0 +1,333 @@
+// scripts/thought-record.js
+// Дневник мыслей (КПТ): ситуация → автоматическая мысль → эмоции 0–100 →
+// когнитивные искажения → доводы за/против → сбалансированная мысль → переоценка.
+// Записи лежат в App.store journal с type: 'thought'; открываются со страницы
+// терапии, из чата и из записи с низким настроением в окне дня.
+(function (global) {
+  const TYPE = 'thought';
+  const MAX_TEXT = 2000;
+  const MAX_EMOTIONS = 8;
+
+  const DISTORTIONS = [
+    { id: 'all-or-nothing', label: 'Чёрно-белое мышление', hint: 'всё или ничего, без полутонов' },
+    { id: 'catastrophizing', label: 'Катастрофизация', hint: 'ожидание худшего исхода' },
+    { id: 'overgeneralization', label: 'Сверхобобщение', hint: '«всегда», «никогда», «все»' },
+    { id: 'mind-reading', label: 'Чтение мыслей', hint: 'уверенность, что знаешь, что думают другие' },
+    { id: 'fortune-telling', label: 'Предсказание будущего', hint: 'прогноз без фактов' },
+    { id: 'discounting-positive', label: 'Обесценивание позитивного', hint: '«это не считается»' },
+    { id: 'mental-filter', label: 'Ментальный фильтр', hint: 'видно только плохое' },
+    { id: 'emotional-reasoning', label: 'Эмоциональное обоснование', hint: '«чувствую — значит, так и есть»' },
+    { id: 'should', label: 'Долженствование', hint: '«я должен», «они обязаны»' },
+    { id: 'labeling', label: 'Навешивание ярлыков', hint: '«я неудачник»' },
+    { id: 'personalization', label: 'Персонализация', hint: 'всё из-за меня' }
+  ];
+
+  const QUICK_EMOTIONS = ['Тревога', 'Грусть', 'Злость', 'Стыд', 'Вина', 'Обида'];
+
+  let editingId = null;
+  let context = {}; // { date, moodTs } — откуда открыли
+
+  function byId(id) { return document.getElementById(id); }
+
+  function todayKey() {
+    return typeof getTodayKey === 'function' ? getTodayKey() : new Date().toISOString().slice(0, 10);
+  }
+
+  function clampIntensity(v) {
+    const n = Math.round(Number(v));
+    return Number.isFinite(n) ? Math.min(100, Math.max(0, n)) : null;
+  }
+
+  function text(v) {
+    return String(v || '').trim().slice(0, MAX_TEXT);
+  }
+
+  /* ---------- Данные ---------- */
+
+  function readAll() {
+    return global.App.store.getState().journal.filter((e) => e && e.id);
+  }
+
+  function list() {
+    return readAll()
+      .filter((e) => e.type === TYPE)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  /** Поиск по всем текстовым полям и названиям эмоций, без учёта регистра. */
+  function search(query) {
+    const q = String(query || '').trim().toLowerCase().replace(/ё/g, 'е');
+    if (!q) return list();
+    return list().filter((r) => {
+      const haystack = [
+        r.situation, r.thought, r.evidenceFor, r.evidenceAgainst, r.balanced,
+        ...(r.emotions || []).map((e) => e.name),
+        ...(r.distortions || []).map((id) => DISTORTIONS.find((d) => d.id === id)?.label || '')
+      ].join('\n').toLowerCase().replace(/ё/g, 'е');
+      return haystack.includes(q);
+    });
+  }
+
+  /** Возвращает { record } или { error }. */
+  function save(draft) {
+    const thought = text(draft.thought);
+    if (!thought) return { error: 'Запишите автоматическую мысль.' };
+    const emotions = (draft.emotions || [])
+      .map((e) => ({ name: text(e.name).slice(0, 40), before: clampIntensity(e.before), after: e.after === '' || e.after == null ? null : clampIntensity(e.after) }))
+      .filter((e) => e.name)
+      .slice(0, MAX_EMOTIONS);
+    if (!emotions.length) return { error: 'Добавьте хотя бы одну эмоцию.' };
+    if (emotions.some((e) => e.before === null)) return { error: 'Интенсивность эмоции — число от 0 до 100.' };
+
+    const all = readAll();
+    const idx = draft.id ? all.findIndex((e) => e.id === draft.id && e.type === TYPE) : -1;
+    const now = new Date().toISOString();
+    const record = {
+      id: idx >= 0 ? draft.id : global.makeId('tr'),
+      type: TYPE,
+      date: draft.date || todayKey(),
+      situation: text(draft.situation),
+      thought,
+      emotions,
+      distortions: (draft.distortions || []).filter((id) => DISTORTIONS.some((d) => d.id === id)),
+      evidenceFor: text(draft.evidenceFor),
+      evidenceAgainst: text(draft.evidenceAgainst),
+      balanced: text(draft.balanced),
+      moodTs: Number.isFinite(draft.moodTs) ? draft.moodTs : null,
+      createdAt: idx >= 0 ? all[idx].createdAt : now,
+      updatedAt: now
+    };
+    if (idx >= 0) all[idx] = record;
+    else all.push(record);
+    global.App.store.update('journal', all);
+    return { record };
+  }
+
+  function remove(id) {
+    global.App.store.update('journal', readAll().filter((e) => !(e.id === id && e.type === TYPE)));
+  }
+
+  /* ---------- Форма ---------- */
+
+  function emotionRow(e = {}) {
+    const row = document.createElement('div');
+    row.className = 'thought-emotion';
+    row.innerHTML = `
+      <input class="input" data-field="name" placeholder="Эмоция" maxlength="40">
+      <input class="input thought-emotion__num" data-field="before" type="number" min="0" max="100" step="5" aria-label="Интенсивность, 0–100">
+      <button type="button" class="chip" data-action="remove-emotion" aria-label="Убрать эмоцию">✕</button>`;
+    row.querySelector('[data-field="name"]').value = e.name || '';
+    row.querySelector('[data-field="before"]').value = e.before ?? 50;
+    return row;
+  }
+
+  function readEmotions() {
+    return [...byId('thoughtEmotions').querySelectorAll('.thought-emotion')].map((row) => ({
+      name: row.querySelector('[data-field="name"]').value,
+      before: row.querySelector('[data-field="before"]').value
+    }));
+  }
+
+  // переоценка — по тем же эмоциям, что выше; уже введённые значения не теряем
+  function renderRerate(afterByName = {}) {
+    const host = byId('thoughtRerate');
+    if (!host) return;
+    host.querySelectorAll('input[data-name]').forEach((input) => {
+      if (input.value !== '') afterByName[input.dataset.name] = input.value;
+    });
+    host.innerHTML = '';
+    readEmotions().filter((e) => e.name.trim()).forEach((e) => {
+      const name = e.name.trim();
+      const label = document.createElement('label');
+      label.className = 'thought-rerate';
+      const span = document.createElement('span');
+      span.textContent = `${name} (было ${clampIntensity(e.before) ?? '—'})`;
+      const input = document.createElement('input');
+      input.className = 'input thought-emotion__num';
+      input.type = 'number';
+      input.min = '0';
+      input.max = '100';
+      input.step = '5';
+      input.dataset.name = name;
+      input.value = afterByName[name] ?? '';
+      label.append(span, input);
+      host.appendChild(label);
+    });
+  }
+
+  function renderDistortions(selected = []) {
+    const host = byId('thoughtDistortions');
+    if (!host) return;
+    host.innerHTML = '';
+    DISTORTIONS.forEach((d) => {
+      const label = document.createElement('label');
+      label.className = 'reminders-option thought-distortion';
+      label.title = d.hint;
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = d.id;
+      input.checked = selected.includes(d.id);
+      const small = document.createElement('small');
+      small.textContent = ` — ${d.hint}`;
+      label.append(input, ` ${d.label}`, small);
+      host.appendChild(label);
+    });
+  }
+
+  function fill(r) {
+    byId('thoughtSituation').value = r.situation || '';
+    byId('thoughtThought').value = r.thought || '';
+    byId('thoughtFor').value = r.evidenceFor || '';
+    byId('thoughtAgainst').value = r.evidenceAgainst || '';
+    byId('thoughtBalanced').value = r.balanced || '';
+    const emotions = byId('thoughtEmotions');
+    emotions.innerHTML = '';
+    (r.emotions?.length ? r.emotions : [{}]).forEach((e) => emotions.appendChild(emotionRow(e)));
+    renderDistortions(r.distortions || []);
+    byId('thoughtRerate').innerHTML = '';
+    const after = {};
+    (r.emotions || []).forEach((e) => { if (e.after != null) after[e.name] = e.after; });
+    renderRerate(after);
+    setError('');
+  }
+
+  function readForm() {
+    const after = {};
+    byId('thoughtRerate').querySelectorAll('input[data-name]').forEach((input) => { after[input.dataset.name] = input.value; });
+    return {
+      id: editingId,
+      date: context.date,
+      moodTs: context.moodTs,
+      situation: byId('thoughtSituation').value,
+      thought: byId('thoughtThought').value,
+      emotions: readEmotions().map((e) => ({ ...e, after: after[e.name.trim()] ?? null })),
+      distortions: [...byId('thoughtDistortions').querySelectorAll('input:checked')].map((i) => i.value),
+      evidenceFor: byId('thoughtFor').value,
+      evidenceAgainst: byId('thoughtAgainst').value,
+      balanced: byId('thoughtBalanced').value
+    };
+  }
+
+  function setError(msg) {
+    const el = byId('thoughtError');
+    if (el) el.textContent = msg;
+  }
+
+  /**
+   * Открыть форму. opts: { id } — правка; { date, moodTs, situation, thought } — новая запись
+   * с подстановкой (из записи настроения или из чата).
+   */
+  function open(opts = {}) {
+    const existing = opts.id ? list().find((r) => r.id === opts.id) : null;
+    editingId = existing ? existing.id : null;
+    context = existing
+      ? { date: existing.date, moodTs: existing.moodTs }
+      : { date: opts.date || todayKey(), moodTs: Number.isFinite(opts.moodTs) ? opts.moodTs : null };
+    byId('thoughtTitle').textContent = existing ? 'Запись в дневнике мыслей' : 'Дневник мыслей';
+    byId('thoughtDeleteBtn').hidden = !existing;
+    fill(existing || { situation: opts.situation || '', thought: opts.thought || '' });
+    global.openModal?.(byId('thought-modal'));
+  }
+
+  /* ---------- Список на странице терапии ---------- */
+
+  function summary(r) {
+    return (r.emotions || [])
+      .map((e) => `${e.name} ${e.before}${e.after != null ? ` → ${e.after}` : ''}`)
+      .join(', ');
+  }
+
+  function renderList() {
+    const host = byId('thoughtList');
+    if (!host) return;
+    const items = search(byId('thoughtSearch')?.value);
+    host.innerHTML = '';
+    items.forEach((r) => {
+      const li = document.createElement('li');
+      li.className = 'thought-item';
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'thought-item__open';
+      btn.dataset.id = r.id;
+      const title = document.createElement('span');
+      title.className = 'thought-item__thought';
+      title.textContent = r.thought;
+      const meta = document.createElement('span');
+      meta.className = 'thought-item__meta';
+      meta.textContent = `${r.date} · ${summary(r)}`;
+      btn.append(title, meta);
+      li.appendChild(btn);
+      host.appendChild(li);
+    });
+    const empty = byId('thoughtEmpty');
+    if (empty) {
+      empty.hidden = items.length > 0;
+      empty.textContent = list().length ? 'Ничего не найдено.' : 'Записей пока нет.';
+    }
+  }
+
+  function bindUI() {
+    const modal = byId('thought-modal');
+    if (!modal) return;
+
+    byId('thoughtAddEmotion').addEventListener('click', () => {
+      if (byId('thoughtEmotions').children.length >= MAX_EMOTIONS) return;
+      byId('thoughtEmotions').appendChild(emotionRow());
+    });
+    byId('thoughtQuickEmotions').addEventListener('click', (e) => {
+      const name = e.target.closest('[data-emotion]')?.dataset.emotion;
+      if (!name) return;
+      const rows = byId('thoughtEmotions');
+      const blank = [...rows.querySelectorAll('[data-field="name"]')].find((i) => !i.value.trim());
+      if (blank) blank.value = name;
+      else if (rows.children.length < MAX_EMOTIONS) rows.appendChild(emotionRow({ name }));
+      renderRerate();
+    });
+    byId('thoughtEmotions').addEventListener('click', (e) => {
+      if (!e.target.closest('[data-action="remove-emotion"]')) return;
+      e.target.closest('.thought-emotion')?.remove();
+      renderRerate();
+    });
+    byId('thoughtEmotions').addEventListener('input', () => renderRerate());
+
+    byId('thoughtSaveBtn').addEventListener('click', () => {
+      const result = save(readForm());
+      if (result.error) { setError(result.error); return; }
+      global.closeModal?.(modal);
+    });
+    byId('thoughtDeleteBtn').addEventListener('click', () => {
+      if (!editingId || !global.confirm('Удалить запись?')) return;
+      remove(editingId);
+      global.closeModal?.(modal);
+    });
+
+    byId('thoughtSearch')?.addEventListener('input', renderList);
+    byId('thoughtList')?.addEventListener('click', (e) => {
+      const id = e.target.closest('[data-id]')?.dataset.id;
+      if (id) open({ id });
+    });
+
+    // из чата: последняя реплика пользователя — черновик автоматической мысли
+    byId('chatThoughtBtn')?.addEventListener('click', () => {
+      const last = global.ChatHistory?.getActive()?.messages.slice().reverse().find((m) => m.role === 'user' && !m.crisis);
+      open({ thought: last ? last.content.slice(0, 300) : '' });
+    });
+
+    const quick = byId('thoughtQuickEmotions');
+    QUICK_EMOTIONS.forEach((name) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'chip';
+      b.dataset.emotion = name;
+      b.textContent = name;
+      quick.appendChild(b);
+    });
+
+    renderList();
+    global.App.store.subscribe(renderList);
+  }
+
+  global.ThoughtRecord = { open, list, search, save, remove, DISTORTIONS };
+
+  global.onAppReady(bindUI);
+})(window);
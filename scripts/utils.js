@@ -15,6 +15,37 @@
     };
   }
 
+  // Скачать строку как файл (бэкапы, CSV)
+  if (!w.downloadFile) {
+    w.downloadFile = function(filename, content, mime = 'text/plain') {
+      const blob = content instanceof Blob ? content : new Blob([content], { type: mime });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+  }
+
+  // id записей в App.store и localStorage: `${prefix}-<время>-<случайное>`
+  if (!w.makeId) {
+    w.makeId = function(prefix) {
+      return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    };
+  }
+
+  // Запуск модуля после app-core.js: deferred-скрипты из scripts/ выполняются
+  // раньше него (window.App ещё нет), а DOMContentLoaded — уже после всех
+  if (!w.onAppReady) {
+    w.onAppReady = function(fn) {
+      if (w.App || document.readyState === 'complete') fn();
+      else document.addEventListener('DOMContentLoaded', () => fn(), { once: true });
+    };
+  }
+
   if (!w.getTheme) {
     w.getTheme = function() {
       return document.documentElement.getAttribute('data-theme') || 'light';
@@ -0,0 +1,251 @@
+// scripts/year-pixels.js
+// «Год в пикселях»: 12 столбцов-месяцев × 31 строка-день, цвет — итог дня
+// через Palette.moodColor(). Клик по пикселю открывает этот день в календаре,
+// картинку можно сохранить в PNG (рисуем заново на canvas, без скриншота DOM).
+(function (global) {
+  const MONTHS_SHORT = ['Я', 'Ф', 'М', 'А', 'М', 'И', 'И', 'А', 'С', 'О', 'Н', 'Д'];
+  const MONTHS_FULL = [
+    'январь', 'февраль', 'март', 'апрель', 'май', 'июнь',
+    'июль', 'август', 'сентябрь', 'октябрь', 'ноябрь', 'декабрь'
+  ];
+
+  let year = new Date().getFullYear();
+
+  function byId(id) { return document.getElementById(id); }
+  function pad2(n) { return String(n).padStart(2, '0'); }
+
+  function keyOf(y, m, d) { return `${y}-${pad2(m + 1)}-${pad2(d)}`; }
+
+  function daysInMonth(y, m) { return new Date(y, m + 1, 0).getDate(); }
+
+  function todayKey() {
+    return typeof getTodayKey === 'function' ? getTodayKey() : keyOf(new Date().getFullYear(), new Date().getMonth(), new Date().getDate());
+  }
+
+  // итог дня — сумма оценок записей, как у клеток месячного календаря
+  function dayTotal(index, key) {
+    const arr = Array.isArray(index[key]) ? index[key] : [];
+    if (!arr.length) return null;
+    return arr.reduce((s, e) => s + (Number(e.score) || 0), 0);
+  }
+
+  function colorOf(total) {
+    if (total === null) return null;
+    return global.Palette?.moodColor?.(total) || (total >= 0 ? '#22c55e' : '#3b82f6');
+  }
+
+  /**
+   * Сетка года: cells[день 0..30][месяц 0..11] = { key, total, exists, future }.
+   */
+  function buildYear(y, index = typeof getStatsIndex === 'function' ? getStatsIndex() : {}) {
+    const today = todayKey();
+    const cells = [];
+    let logged = 0;
+    for (let d = 1; d <= 31; d++) {
+      const row = [];
+      for (let m = 0; m < 12; m++) {
+        const exists = d <= daysInMonth(y, m);
+        const key = exists ? keyOf(y, m, d) : null;
+        const total = exists ? dayTotal(index, key) : null;
+        if (total !== null) logged += 1;
+        row.push({ key, total, exists, future: !!key && key > today });
+      }
+      cells.push(row);
+    }
+    return { year: y, cells, logged };
+  }
+
+  function signed(v) {
+    return v > 0 ? `+${v}` : (v < 0 ? `−${Math.abs(v)}` : '0');
+  }
+
+  /* ---------- Экран ---------- */
+
+  function render() {
+    const grid = byId('yearGrid');
+    if (!grid) return;
+    const data = buildYear(year);
+    byId('yearTitle').textContent = String(year);
+    byId('yearNextBtn').disabled = year >= new Date().getFullYear();
+    byId('yearSummary').textContent = `Дней с записями: ${data.logged}`;
+
+    grid.innerHTML = '';
+    grid.appendChild(document.createElement('span'));
+    MONTHS_SHORT.forEach((label, m) => {
+      const el = document.createElement('span');
+      el.className = 'year-grid__month';
+      el.textContent = label;
+      el.title = MONTHS_FULL[m];
+      grid.appendChild(el);
+    });
+
+    data.cells.forEach((row, i) => {
+      const label = document.createElement('span');
+      label.className = 'year-grid__day';
+      label.textContent = (i + 1) % 5 === 0 || i === 0 ? String(i + 1) : '';
+      grid.appendChild(label);
+      row.forEach((cell, m) => {
+        if (!cell.exists) {
+          const gap = document.createElement('span');
+          gap.className = 'year-pixel is-missing';
+          grid.appendChild(gap);
+          return;
+        }
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'year-pixel';
+        btn.dataset.date = cell.key;
+        const color = colorOf(cell.total);
+        if (color) btn.style.background = color;
+        else btn.classList.add(cell.future ? 'is-future' : 'is-empty');
+        btn.disabled = cell.future;
+        btn.setAttribute('aria-label', `${i + 1} ${MONTHS_FULL[m]}: ${cell.total === null ? 'нет записей' : `итог ${signed(cell.total)}`}`);
+        grid.appendChild(btn);
+      });
+    });
+  }
+
+  // шкала легенды — одна и та же на экране и в PNG
+  function legendScale() {
+    const P = global.Palette || {};
+    return {
+      colors: [
+        ...(P.BLUE_STEPS || []),
+        P.NEUTRAL_YELLOW || '#D8B25A',
+        ...(P.GREEN_STEPS || []).slice().reverse()
+      ],
+      from: `−${P.MAX_ABS || 50}`,
+      to: `+${P.MAX_ABS || 50}`
+    };
+  }
+
+  function renderLegend() {
+    const host = byId('yearLegend');
+    if (!host || host.children.length) return;
+    const legend = legendScale();
+    const scale = document.createElement('div');
+    scale.className = 'year-legend__scale';
+    legend.colors.forEach((c) => {
+      const s = document.createElement('span');
+      s.className = 'year-legend__swatch';
+      s.style.background = c;
+      scale.appendChild(s);
+    });
+    const from = document.createElement('span');
+    from.textContent = legend.from;
+    const to = document.createElement('span');
+    to.textContent = legend.to;
+    const empty = document.createElement('span');
+    empty.className = 'year-legend__empty';
+    const emptySwatch = document.createElement('span');
+    emptySwatch.className = 'year-legend__swatch is-empty';
+    empty.append(emptySwatch, ' нет записей');
+    host.append(from, scale, to, empty);
+  }
+
+  /* ---------- PNG ---------- */
+
+  function exportPng() {
+    const data = buildYear(year);
+    const cell = 18;
+    const gap = 3;
+    const left = 28;
+    const top = 64;
+    const width = left + 12 * (cell + gap) + 12;
+    const height = top + 31 * (cell + gap) + 72;
+    const ratio = 2; // чётко на ретине
+    const canvas = document.createElement('canvas');
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+
+    const dark = document.documentElement.getAttribute('data-theme') === 'dark';
+    ctx.fillStyle = dark ? '#16181d' : '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    const text = dark ? '#e5e7eb' : '#1f2937';
+    const muted = dark ? '#9ca3af' : '#6b7280';
+    const empty = dark ? 'rgba(255,255,255,0.08)' : 'rgba(0,0,0,0.07)';
+
+    ctx.fillStyle = text;
+    ctx.font = '600 18px system-ui, sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`Год в пикселях · ${year}`, left, 22);
+
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.fillStyle = muted;
+    ctx.textAlign = 'center';
+    MONTHS_SHORT.forEach((label, m) => ctx.fillText(label, left + m * (cell + gap) + cell / 2, top - 12));
+    ctx.textAlign = 'right';
+    for (let d = 1; d <= 31; d++) {
+      if (d === 1 || d % 5 === 0) ctx.fillText(String(d), left - 6, top + (d - 1) * (cell + gap) + cell / 2);
+    }
+
+    data.cells.forEach((row, i) => {
+      row.forEach((c, m) => {
+        if (!c.exists) return;
+        ctx.fillStyle = colorOf(c.total) || empty;
+        ctx.fillRect(left + m * (cell + gap), top + i * (cell + gap), cell, cell);
+      });
+    });
+
+    // легенда как под сеткой на экране: −50 … +50 и «нет записей»
+    const legend = legendScale();
+    const swatch = 10;
+    const legendY = height - 46;
+    let x = left;
+    ctx.textAlign = 'left';
+    ctx.fillStyle = muted;
+    ctx.fillText(legend.from, x, legendY);
+    x += ctx.measureText(legend.from).width + 6;
+    legend.colors.forEach((c) => {
+      ctx.fillStyle = c;
+      ctx.fillRect(x, legendY - swatch / 2, swatch, swatch);
+      x += swatch + 2;
+    });
+    ctx.fillStyle = muted;
+    ctx.fillText(legend.to, x + 4, legendY);
+    // вторая строка: пустой день слева, счётчик справа: в одну строку холст узковат
+    const bottomY = height - 22;
+    ctx.fillStyle = empty;
+    ctx.fillRect(left, bottomY - swatch / 2, swatch, swatch);
+    ctx.fillStyle = muted;
+    ctx.fillText('нет записей', left + swatch + 4, bottomY);
+    ctx.textAlign = 'right';
+    ctx.fillText(`Дней с записями: ${data.logged}`, width - 12, bottomY);
+
+    const filename = `year-in-pixels-${year}.png`;
+    if (canvas.toBlob) {
+      canvas.toBlob((blob) => { if (blob) global.downloadFile?.(filename, blob, 'image/png'); }, 'image/png');
+    }
+  }
+
+  /* ---------- Связка ---------- */
+
+  function open(y = new Date().getFullYear()) {
+    year = y;
+    global.openModal?.(byId('year-modal'));
+  }
+
+  function bindUI() {
+    const modal = byId('year-modal');
+    if (!modal) return;
+    modal.addEventListener('modal:open', () => { renderLegend(); render(); });
+    byId('yearPrevBtn').addEventListener('click', () => { year -= 1; render(); });
+    byId('yearNextBtn').addEventListener('click', () => { year += 1; render(); });
+    byId('yearExportBtn').addEventListener('click', exportPng);
+    byId('openYearBtn')?.addEventListener('click', () => open());
+    byId('yearGrid').addEventListener('click', (e) => {
+      const key = e.target.closest('.year-pixel[data-date]')?.dataset.date;
+      if (!key) return;
+      global.closeModal?.(modal);
+      if (typeof global.switchPage === 'function') global.switchPage('calendar');
+      global.showCalendarDate?.(key);
+    });
+    document.addEventListener('stats:data-changed', () => { if (!modal.hidden) render(); });
+  }
+
+  global.YearPixels = { open, buildYear, exportPng };
+
+  global.onAppReady(bindUI);
+})(window);
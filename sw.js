@@ -0,0 +1,138 @@
+// sw.js
+// Сервис-воркер: приложение целиком работает офлайн (календарь, записи,
+// статистика, практики). Версия кэша = buildId из scripts/inject-version.mjs,
+// он приходит в query при регистрации: /sw.js?v=<buildId>.
+
+const BUILD_ID = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'mood-calendar-';
+const CACHE_NAME = `${CACHE_PREFIX}${BUILD_ID}`;
+
+// '/index.html' не кладём: с cleanUrls он редиректит на '/'
+const PRECACHE = [
+  '/',
+  '/app-core.js',
+  '/scripts/safe-prelude.js',
+  '/scripts/palette.global.js',
+  '/scripts/utils.js',
+  '/scripts/backup.js',
+  '/scripts/csv.js',
+  '/scripts/csv-import.js',
+  '/scripts/reminders.js',
+  '/scripts/crisis.js',
+  '/scripts/chat-history.js',
+  '/scripts/mood-context.js',
+  '/scripts/practice-cues.js',
+  '/scripts/practice-log.js',
+  '/scripts/custom-practices.js',
+  '/scripts/journal.js',
+  '/scripts/thought-record.js',
+  '/scripts/year-pixels.js',
+  '/styles/tokens.css',
+  '/styles/components.css'
+];
+
+// внешние скрипты, которые тоже нужны офлайн (графики статистики)
+const CDN_ASSETS = [
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.2/dist/chart.umd.min.js'
+];
+
+// без иконок и CDN приложение живёт, поэтому их ошибка не валит установку
+const PRECACHE_OPTIONAL = [
+  '/manifest.webmanifest',
+  '/favicon.ico',
+  '/favicon.svg',
+  '/apple-touch-icon.png',
+  ...CDN_ASSETS
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // reload — мимо HTTP-кэша, где js/css лежат как immutable
+    await cache.addAll(PRECACHE.map((url) => new Request(url, { cache: 'reload' })));
+    await Promise.all(PRECACHE_OPTIONAL.map((url) =>
+      cache.add(new Request(url, { cache: 'reload' })).catch((err) => console.warn('[sw] optional precache failed', url, err))));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME)
+      .map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+function offlineApiResponse() {
+  return new Response(JSON.stringify({ error: 'offline' }), {
+    status: 503,
+    headers: { 'Content-Type': 'application/json', 'X-Offline': '1' }
+  });
+}
+
+// страница: сначала сеть (index.html всегда свежий), офлайн — из кэша
+async function handleNavigation(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok && !res.redirected) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put('/', res.clone());
+    }
+    return res;
+  } catch {
+    const cached = await caches.match('/', { cacheName: CACHE_NAME });
+    return cached || Response.error();
+  }
+}
+
+// статика: из кэша (query ?v= не важен — кэш и так версионный), иначе сеть + докладываем
+async function handleStatic(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  const isOwn = url.origin === self.location.origin;
+
+  // чат без сети: понятный ответ вместо TypeError в консоли
+  if (isOwn && url.pathname.startsWith('/api/')) {
+    event.respondWith(fetch(request).catch(offlineApiResponse));
+    return;
+  }
+
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (isOwn || CDN_ASSETS.includes(request.url)) {
+    event.respondWith(handleStatic(request));
+  }
+});
+
+// клик по напоминанию: открыть запись настроения в уже открытой вкладке или в новой
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  if (event.notification.data?.action !== 'log-mood') return;
+  event.waitUntil((async () => {
+    const all = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = all.find((c) => new URL(c.url).origin === self.location.origin);
+    if (client) {
+      await client.focus();
+      client.postMessage({ type: 'log-mood' });
+      return;
+    }
+    await self.clients.openWindow('/?action=log-mood');
+  })());
+});